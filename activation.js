@@ -0,0 +1,106 @@
+// Where BetterSpace runs — loaded by the content scripts, popup and options page.
+//
+// Storage:
+//   activation: { enabled, pausedSites: [pattern] }
+//
+// `enabled` is the master switch. A paused-site pattern is a host, optionally
+// followed by a path, where * matches any run of characters:
+//   learn.myschool.edu          the whole site
+//   */d2l/lms/quizzing/         quiz pages on every site
+// A path matches as a prefix, so it covers everything below it. Query strings
+// and fragments are ignored.
+
+(function (global) {
+  'use strict';
+
+  const DEFAULT_ACTIVATION = { enabled: true, pausedSites: [] };
+
+  const HOST_PATTERN_RE = /^[a-z0-9*]([a-z0-9*.-]*[a-z0-9*])?(:\d{1,5})?$/;
+
+  // Accepts "learn.myschool.edu", "https://learn.myschool.edu/d2l/lms/quizzing/…",
+  // "*/d2l/lms/quizzing/", etc. Returns the stored form, or null if it isn't one.
+  function normalizeSitePattern(input) {
+    let value = String(input || '').trim().toLowerCase().replace(/^[a-z*]+:\/\//, '');
+    value = value.replace(/[?#].*$/, '');
+    if (!value || /\s/.test(value)) return null;
+    const slash = value.indexOf('/');
+    const hostPart = slash === -1 ? value : value.slice(0, slash);
+    const pathPart = slash === -1 ? '' : value.slice(slash);
+    if (!HOST_PATTERN_RE.test(hostPart)) return null;
+    return pathPart === '/' ? hostPart : hostPart + pathPart;
+  }
+
+  function globToRegExp(glob, prefix) {
+    const source = glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}${prefix ? '' : '$'}`);
+  }
+
+  function matchesSitePattern(pattern, url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return false;
+    }
+    const slash = pattern.indexOf('/');
+    const hostPart = slash === -1 ? pattern : pattern.slice(0, slash);
+    const pathPart = slash === -1 ? '' : pattern.slice(slash);
+    // A pattern without a port matches the site on any port.
+    const port = parsed.port || (parsed.protocol === 'https:' ? '443' : '80');
+    const hostToMatch = hostPart.includes(':') ? `${parsed.hostname}:${port}` : parsed.hostname;
+    if (!globToRegExp(hostPart, false).test(hostToMatch.toLowerCase())) return false;
+    return !pathPart || globToRegExp(pathPart, true).test(parsed.pathname.toLowerCase());
+  }
+
+  // The paused-site patterns that match any of `urls`.
+  function pausingPatterns(activation, urls) {
+    return activation.pausedSites.filter((pattern) => urls.some((url) => matchesSitePattern(pattern, url)));
+  }
+
+  // The URLs a content script is judged by. Frames also follow the page
+  // they're in, so pausing quiz pages covers the quiz's frames too; a
+  // cross-origin parent can't be read and is skipped.
+  function pageUrls() {
+    const urls = [location.href];
+    if (window !== window.top) {
+      try {
+        urls.push(window.top.location.href);
+      } catch { /* cross-origin */ }
+    }
+    return urls;
+  }
+
+  // Just what decides pages on `url`'s site: the switch and the patterns whose
+  // host matches it, path and all.
+  function activationForSite(activation, url) {
+    return {
+      enabled: activation.enabled,
+      pausedSites: activation.pausedSites.filter((pattern) => matchesSitePattern(pattern.split('/')[0], url)),
+    };
+  }
+
+  function isActive(activation, urls) {
+    return activation.enabled && !pausingPatterns(activation, urls).length;
+  }
+
+  async function getActivation() {
+    const { activation } = await chrome.storage.local.get('activation');
+    return { ...DEFAULT_ACTIVATION, ...(activation || {}) };
+  }
+
+  async function saveActivation(activation) {
+    await chrome.storage.local.set({ activation });
+  }
+
+  global.BetterSpaceActivation = {
+    DEFAULT_ACTIVATION,
+    normalizeSitePattern,
+    matchesSitePattern,
+    pausingPatterns,
+    pageUrls,
+    activationForSite,
+    isActive,
+    getActivation,
+    saveActivation,
+  };
+})(globalThis);
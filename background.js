@@ -0,0 +1,326 @@
+// BetterSpace service worker.
+//
+// Responsible for:
+//   - keeping dynamically registered content scripts for user-added domains
+//     in line with the configured list (see domains.js);
+//   - optional cross-device sync: course names, both theme palettes and the
+//     dark/light preferences are mirrored into chrome.storage.sync.
+//     Everything else (card images, hidden/pinned state, order) stays local —
+//     images alone would blow through the sync quota;
+//   - the keyboard shortcuts declared under "commands" in manifest.json
+//     (_execute_action, which opens the popup, is handled by Chrome itself).
+
+importScripts('storage.js', 'domains.js', 'theme.js');
+
+(function () {
+  'use strict';
+
+  // ── Sync model ───────────────────────────────────────────────────────────────
+  //
+  // Each synced setting is one chrome.storage.sync item holding { v, t }: the
+  // value and the time it was last written. Conflicts resolve last-writer-wins
+  // per item, so renaming course A on one machine and course B on another
+  // never clobbers either. Deleting a name writes a tombstone (v: null) so the
+  // deletion propagates; tombstones are pruned after TOMBSTONE_TTL.
+  //
+  // Locally, syncMeta maps item key → timestamp of the local value, which is
+  // what a remote item's `t` is compared against.
+  //
+  // Course names are keyed `name:<host>/<courseId>` since ids are per-institution.
+
+  const NAME_PREFIX = 'name:';
+  const LEGACY_NAME_RE = /^name:\d+$/;
+  const TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+  const LOCAL_SYNCED_KEYS = ['institutions', 'themeColors', 'lightThemeColors', 'darkMode', 'lightMode'];
+  const SETTING_KEYS = ['theme', 'lightTheme', 'darkMode', 'lightMode'];
+
+  const {
+    QUOTA_BYTES,
+    QUOTA_BYTES_PER_ITEM,
+    MAX_ITEMS,
+  } = chrome.storage.sync;
+
+  function isSyncKey(key) {
+    return SETTING_KEYS.includes(key) ||
+      (key.startsWith(NAME_PREFIX) && !LEGACY_NAME_RE.test(key));
+  }
+
+  function nameKey(host, id) {
+    return `${NAME_PREFIX}${host}/${id}`;
+  }
+
+  function parseNameKey(key) {
+    const rest = key.slice(NAME_PREFIX.length);
+    const slash = rest.lastIndexOf('/');
+    return { host: rest.slice(0, slash), id: rest.slice(slash + 1) };
+  }
+
+  // Projects local settings onto sync item keys; unset values map to null.
+  // Unassigned legacy data has no host to key it by, so it stays local.
+  function syncValuesFrom({ institutions, themeColors, lightThemeColors, darkMode, lightMode }) {
+    const values = {};
+    for (const [host, { courses }] of Object.entries(institutions || {})) {
+      if (host === BetterSpaceStorage.UNASSIGNED) continue;
+      for (const [id, record] of Object.entries(courses || {})) {
+        if (record.name) values[nameKey(host, id)] = record.name;
+      }
+    }
+    values.theme = themeColors || null;
+    values.lightTheme = lightThemeColors || null;
+    values.darkMode = !!darkMode;
+    values.lightMode = !!lightMode;
+    return values;
+  }
+
+  function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+
+  function itemBytes(key, item) {
+    return key.length + JSON.stringify(item).length;
+  }
+
+  // ── Status ───────────────────────────────────────────────────────────────────
+
+  async function setStatus(status) {
+    await chrome.storage.local.set({ syncStatus: { lastSync: null, error: null, ...status } });
+  }
+
+  let queue = Promise.resolve();
+
+  // Serializes sync work so a push and a pull never interleave their reads and writes.
+  function enqueue(task) {
+    queue = queue.then(task).catch((err) => setStatus({ lastSync: Date.now(), error: err.message }));
+    return queue;
+  }
+
+  async function isSyncEnabled() {
+    const { syncEnabled } = await chrome.storage.local.get('syncEnabled');
+    return !!syncEnabled;
+  }
+
+  // ── Writing ──────────────────────────────────────────────────────────────────
+
+  // Writes items to sync in one call (one write operation against the
+  // per-minute limit), skipping anything that would break the quota.
+  async function pushItems(items) {
+    const keys = Object.keys(items);
+    if (!keys.length) return [];
+
+    const skipped = keys.filter((k) => itemBytes(k, items[k]) > QUOTA_BYTES_PER_ITEM);
+    skipped.forEach((k) => delete items[k]);
+
+    const remote = await chrome.storage.sync.get(null);
+    const newKeys = Object.keys(items).filter((k) => !(k in remote));
+    const incoming = Object.keys(items).reduce((n, k) => n + itemBytes(k, items[k]), 0);
+    const used = await chrome.storage.sync.getBytesInUse(null);
+
+    if (Object.keys(remote).length + newKeys.length > MAX_ITEMS || used + incoming > QUOTA_BYTES) {
+      throw new Error('Sync storage is full. Remove some course names to keep syncing.');
+    }
+
+    if (Object.keys(items).length) await chrome.storage.sync.set(items);
+    return skipped;
+  }
+
+  async function applyRemote(values) {
+    const keys = Object.keys(values);
+    if (!keys.length) return;
+
+    const editsByHost = {};
+    const local = {};
+    for (const key of keys) {
+      if (key.startsWith(NAME_PREFIX)) {
+        const { host, id } = parseNameKey(key);
+        editsByHost[host] = editsByHost[host] || {};
+        editsByHost[host][id] = { name: values[key] || '' };
+      } else if (key === 'theme') {
+        local.themeColors = values.theme || {};
+      } else if (key === 'lightTheme') {
+        local.lightThemeColors = values.lightTheme || {};
+      } else if (key === 'darkMode' || key === 'lightMode') {
+        local[key] = !!values[key];
+      }
+    }
+
+    // Open tabs pick these up from storage.onChanged like any other edit.
+    for (const [host, edits] of Object.entries(editsByHost)) {
+      await BetterSpaceStorage.updateCourses(host, edits);
+    }
+    if (Object.keys(local).length) await chrome.storage.local.set(local);
+  }
+
+  // ── Reconcile ────────────────────────────────────────────────────────────────
+
+  // Full two-way merge: runs on startup, when sync is switched on, and whenever
+  // another device writes to sync.
+  async function reconcile() {
+    if (!(await isSyncEnabled())) return;
+
+    const institutions = await BetterSpaceStorage.getInstitutions();
+    const stored = await chrome.storage.local.get([
+      'themeColors', 'lightThemeColors', 'darkMode', 'lightMode', 'syncMeta',
+    ]);
+    const local = syncValuesFrom({ institutions, ...stored });
+    const meta = { ...(stored.syncMeta || {}) };
+    const remote = await chrome.storage.sync.get(null);
+    const now = Date.now();
+
+    const toPush = {};
+    const toApply = {};
+    // Names written before sync keys carried a host can't be placed; drop them.
+    const toPrune = Object.keys(remote).filter((k) => LEGACY_NAME_RE.test(k));
+
+    const keys = new Set([...Object.keys(local), ...Object.keys(remote).filter(isSyncKey)]);
+    for (const key of keys) {
+      const item = remote[key];
+      const localValue = local[key] ?? null;
+      const localTime = meta[key] || 0;
+
+      if (item && item.v === null && now - item.t > TOMBSTONE_TTL) {
+        toPrune.push(key);
+        delete meta[key];
+        continue;
+      }
+
+      if (item && item.t > localTime) {
+        if (!sameValue(item.v, localValue)) toApply[key] = item.v;
+        meta[key] = item.t;
+      } else if (!item || localTime > item.t) {
+        if (!item && localValue === null) continue;
+        const t = localTime || now;
+        toPush[key] = { v: localValue, t };
+        meta[key] = t;
+      }
+    }
+
+    if (toPrune.length) await chrome.storage.sync.remove(toPrune);
+    const skipped = await pushItems(toPush);
+    skipped.forEach((k) => delete meta[k]);
+    await chrome.storage.local.set({ syncMeta: meta });
+    await applyRemote(toApply);
+
+    await setStatus({
+      lastSync: Date.now(),
+      error: skipped.length ? `${skipped.length} item(s) were too large to sync.` : null,
+    });
+  }
+
+  // Pushes local edits as they happen, stamped with the time of the edit.
+  async function pushLocalChanges(changes) {
+    if (!(await isSyncEnabled())) return;
+
+    const before = {};
+    const after = {};
+    for (const key of LOCAL_SYNCED_KEYS) {
+      if (!(key in changes)) continue;
+      before[key] = changes[key].oldValue;
+      after[key] = changes[key].newValue;
+    }
+    const oldValues = syncValuesFrom(before);
+    const newValues = syncValuesFrom(after);
+
+    // Only consider keys whose storage entry actually changed in this event.
+    const candidates = [];
+    if ('institutions' in changes) {
+      const names = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+      names.forEach((k) => k.startsWith(NAME_PREFIX) && candidates.push(k));
+    }
+    if ('themeColors' in changes) candidates.push('theme');
+    if ('lightThemeColors' in changes) candidates.push('lightTheme');
+    if ('darkMode' in changes) candidates.push('darkMode');
+    if ('lightMode' in changes) candidates.push('lightMode');
+
+    const remote = await chrome.storage.sync.get(candidates);
+    const { syncMeta } = await chrome.storage.local.get('syncMeta');
+    const meta = { ...(syncMeta || {}) };
+    const now = Date.now();
+    const toPush = {};
+
+    for (const key of candidates) {
+      const value = newValues[key] ?? null;
+      if (sameValue(oldValues[key], value)) continue;
+      // Already matches sync — this change is us applying a remote value.
+      if (remote[key] && sameValue(remote[key].v, value)) continue;
+      toPush[key] = { v: value, t: now };
+      meta[key] = now;
+    }
+
+    const skipped = await pushItems(toPush);
+    skipped.forEach((k) => delete meta[k]);
+    if (Object.keys(toPush).length || skipped.length) {
+      await chrome.storage.local.set({ syncMeta: meta });
+      await setStatus({
+        lastSync: Date.now(),
+        error: skipped.length ? `${skipped.length} item(s) were too large to sync.` : null,
+      });
+    }
+  }
+
+  // ── Keyboard shortcuts ───────────────────────────────────────────────────────
+
+  // Flips dark mode; every tab follows the stored setting. If dark was turning
+  // on by itself, the shortcut takes over: the schedule goes back to manual
+  // ("when chosen") with dark set opposite to what it was. A service worker
+  // can't see prefers-color-scheme, so under "system" the manual setting is
+  // what's flipped.
+  async function toggleDarkMode() {
+    const { darkMode, darkModeSchedule } = await chrome.storage.local.get(['darkMode', 'darkModeSchedule']);
+    const schedule = BetterSpaceTheme.normalizeSchedule(darkModeSchedule);
+    const wasDark = schedule.mode === 'system'
+      ? !!darkMode
+      : BetterSpaceTheme.resolveDarkMode(darkMode, schedule, false);
+
+    const next = { darkMode: !wasDark };
+    if (schedule.mode !== 'manual') next.darkModeSchedule = { ...schedule, mode: 'manual' };
+    await chrome.storage.local.set(next);
+  }
+
+  // Activates the preset after the active one, built-in presets first, then
+  // custom ones. Edited colors that match no preset start the cycle over.
+  async function cycleThemePreset() {
+    const { builtIn, custom, activePresetId } = await BetterSpaceTheme.getPresets();
+    const presets = [...builtIn, ...custom];
+    const index = presets.findIndex((p) => p.id === activePresetId);
+    const preset = presets[(index + 1) % presets.length];
+    await BetterSpaceTheme.activatePreset(preset);
+  }
+
+  const COMMANDS = {
+    'toggle-dark-mode': toggleDarkMode,
+    'cycle-theme-preset': cycleThemePreset,
+  };
+
+  // ── Listeners ────────────────────────────────────────────────────────────────
+
+  chrome.commands.onCommand.addListener((command) => {
+    // Shortcuts have nowhere to show an error; sync status is for sync only.
+    if (COMMANDS[command]) COMMANDS[command]().catch(console.error);
+  });
+
+  chrome.runtime.onStartup.addListener(() => enqueue(reconcile));
+  chrome.runtime.onInstalled.addListener(() => {
+    // Re-register on update too, in case the content script file list changed.
+    BetterSpaceDomains.syncContentScripts();
+    enqueue(() => BetterSpaceStorage.ready().then(reconcile));
+  });
+
+  // Revoking a site from chrome://extensions should drop its registration.
+  chrome.permissions.onRemoved.addListener(() => BetterSpaceDomains.syncContentScripts());
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync') {
+      if (Object.keys(changes).some(isSyncKey)) enqueue(reconcile);
+      return;
+    }
+    if (area !== 'local') return;
+
+    if (changes.syncEnabled) {
+      if (changes.syncEnabled.newValue) enqueue(reconcile);
+      return;
+    }
+    if (LOCAL_SYNCED_KEYS.some((k) => k in changes)) {
+      enqueue(() => pushLocalChanges(changes));
+    }
+  });
+})();
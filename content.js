@@ -2,49 +2,74 @@
   'use strict';
 
   const isFrame = window !== window.top;
-
-  let savedNames = {};
-  let savedImages = {};
+  // Course ids are only unique per Brightspace instance; all course data is keyed by host.
+  const host = location.host;
+
+  let courses = {};
+  let courseOrder = [];
+  let uploadedImages = {}; // courseId → { dataUrl, blobUrl }
+  let renameRules = [];
+  // Whether BetterSpace is running on this page; see start() and stop().
+  let active = false;
+  // Settles once the latest start() has found and renamed the cards, or
+  // failed to; it never rejects.
+  let startup = Promise.resolve();
   let debounceTimer = null;
-  let isDarkMode = false;
-  const observedRoots = new WeakSet();
+  // 'dark', 'light' or null; see applyScheme().
+  let activeScheme = null;
+  // Stored settings the scheme is resolved from: { darkMode, lightMode, schedule }.
+  let appearance = {};
+  let scheduleTimer = null;
   const originalHeaderLogoSrc = new WeakMap();
 
   // ── Storage ──────────────────────────────────────────────────────────────────
 
-  async function loadSavedNames() {
-    const result = await chrome.storage.local.get(null);
-    savedNames = Object.fromEntries(
-      Object.entries(result).filter(([k]) => /^\d+$/.test(k))
-    );
-    savedImages = result.cardImages || {};
+  async function loadCourseData() {
+    await BetterSpaceStorage.claimUnassigned(host);
+    ({ courses, courseOrder } = await BetterSpaceStorage.getCourseData(host));
+    renameRules = await BetterSpaceRenameRules.getRules();
+    officialNames = await BetterSpaceStorage.getOfficialNames(host);
+    dueDateSettings = await BetterSpaceValence.getDueDateSettings();
+    await loadUploadedImages();
   }
 
-  // ── Shadow DOM traversal ─────────────────────────────────────────────────────
-  // Brightspace nests components ~5 shadow roots deep, so we recurse.
+  // Uploaded images are stored as data URLs; cards get short blob: URLs
+  // instead so the CSS custom property doesn't carry the whole image.
+  async function loadUploadedImages() {
+    const ids = Object.keys(courses).filter((id) => courses[id].imageFile);
+    const dataUrls = await BetterSpaceStorage.getCourseImages(host, ids);
+    const previous = uploadedImages;
+    uploadedImages = {};
+    for (const [id, dataUrl] of Object.entries(dataUrls)) {
+      if (previous[id] && previous[id].dataUrl === dataUrl) {
+        uploadedImages[id] = previous[id];
+        continue;
+      }
+      if (!/^data:image\/[a-z0-9.+-]+;base64,/i.test(dataUrl)) continue;
+      try {
+        uploadedImages[id] = { dataUrl, blobUrl: URL.createObjectURL(dataUrlToBlob(dataUrl)) };
+      } catch { /* corrupt data URL — show the card without it */ }
+    }
+    for (const [id, entry] of Object.entries(previous)) {
+      if (uploadedImages[id] !== entry) URL.revokeObjectURL(entry.blobUrl);
+    }
+  }
 
-  // Resolves with an element's shadow root once it's ready.
-  //
-  // The two-step wait handles Brightspace's lazy-loaded Lit components:
-  //   1. customElements.whenDefined — fires when the class is registered and
-  //      the element is upgraded (gains LitElement prototype + updateComplete).
-  //   2. updateComplete — fires after Lit's first render, when shadowRoot exists.
-  //
-  // Without step 1, el.updateComplete is undefined on a not-yet-upgraded element
-  // and we'd silently give up; without step 2, shadowRoot may still be null even
-  // after the class is defined because Lit renders asynchronously.
-  function waitForShadow(el) {
-    if (el.shadowRoot) return Promise.resolve(el.shadowRoot);
-    return customElements.whenDefined(el.localName).then(() => {
-      if (el.shadowRoot) return el.shadowRoot;
-      const up = el.updateComplete;
-      if (up && typeof up.then === 'function') {
-        return up.then(() => el.shadowRoot || null);
-      }
-      return el.shadowRoot || null;
-    });
+  function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const type = header.slice(5).split(';')[0];
+    const bytes = Uint8Array.from(atob(data), (ch) => ch.charCodeAt(0));
+    return new Blob([bytes], { type });
   }
 
+  function courseRecord(id) {
+    return courses[id] || {};
+  }
+
+  // ── Shadow DOM ───────────────────────────────────────────────────────────────
+  // Brightspace nests components ~5 shadow roots deep; the components we touch
+  // are found through the registry (see Component registry below).
+
   // Inject a CSSStyleSheet into an element's shadow root, waiting for it if needed.
   function injectSheet(el, sheet) {
     if (el.shadowRoot) {
@@ -53,21 +78,13 @@
       }
       return;
     }
-    waitForShadow(el).then((sr) => {
-      if (sr && isDarkMode && !sr.adoptedStyleSheets.includes(sheet)) {
+    BetterSpaceShadowDOM.waitForShadow(el).then((sr) => {
+      if (sr && activeScheme && !sr.adoptedStyleSheets.includes(sheet)) {
         sr.adoptedStyleSheets = [...sr.adoptedStyleSheets, sheet];
       }
     });
   }
 
-  function queryShadowAll(selector, root) {
-    const results = [...root.querySelectorAll(selector)];
-    root.querySelectorAll('*').forEach((el) => {
-      if (el.shadowRoot) results.push(...queryShadowAll(selector, el.shadowRoot));
-    });
-    return results;
-  }
-
   // ── Course element discovery ─────────────────────────────────────────────────
   //
   // Structure (all inside shadow roots):
@@ -84,7 +101,7 @@
 
   function findCourseElements() {
     const results = [];
-    queryShadowAll('d2l-enrollment-card', document.body).forEach((enrollCard) => {
+    BetterSpaceShadowDOM.inTreeOrder(components.get('enrollmentCards')).forEach((enrollCard) => {
       if (!enrollCard.shadowRoot) return;
       const dCard = enrollCard.shadowRoot.querySelector('d2l-card');
       if (!dCard) return;
@@ -105,13 +122,38 @@
   }
 
   // ── Apply names ──────────────────────────────────────────────────────────────
+  //
+  // Called without `changes` for a full pass: at start-up and when storage
+  // changes. A mutation batch passes what it touched instead (see the
+  // component registry), and only the cards and name surfaces around those
+  // nodes are revisited.
+
+  // `node` or its nearest ancestor, across shadow boundaries, that passes `test`.
+  function closestComposed(node, test) {
+    for (let n = node; n; n = n.parentNode || n.host) {
+      if (n.nodeType === Node.ELEMENT_NODE && test(n)) return n;
+    }
+    return null;
+  }
 
-  function applyAllNames() {
+  function cardsAround(nodes) {
+    const cards = new Set();
+    for (const node of nodes) {
+      const card = closestComposed(node, (el) => el.localName === 'd2l-enrollment-card');
+      if (card) cards.add(card);
+    }
+    return cards;
+  }
+
+  function applyAllNames(changes) {
+    if (!active) return;
+    if (!changes) pendingChanges = null;
     const elements = findCourseElements();
+    const touched = changes && cardsAround([...changes.roots, ...changes.targets]);
     elements.forEach(({ id, dCard, orgName, enrollCard }) => {
-      const customName = savedNames[id];
+      if (touched && !touched.has(enrollCard)) return;
       const original = enrollCard.dataset.bsOriginal;
-      const displayName = customName || original;
+      const displayName = original ? displayNameFor(id, original) : courseRecord(id).name;
       if (!displayName) return;
 
       // Only write if the value is actually changing — prevents observer loops.
@@ -125,48 +167,312 @@
       }
     });
 
-    if (isDarkMode) {
+    if (activeScheme) {
       applyCardEnhancements(elements);
       applyAllCardDarkMode();
       applyPopoverDarkMode();
     }
 
+    applyCourseColors(elements);
     applyCardImages(elements);
+    applyCardLayout(elements);
+    applyCardEditButtons(elements);
+    applyPageNames(elements, changes);
+    applyDueDatesPanel();
+  }
+
+  // Puts Brightspace's own names back on the cards.
+  function restoreCardNames(elements) {
+    elements.forEach(({ dCard, orgName, enrollCard }) => {
+      const original = enrollCard.dataset.bsOriginal;
+      if (!original) return;
+      if (orgName.shadowRoot.textContent.trim() !== original) {
+        orgName.shadowRoot.textContent = original;
+      }
+      dCard.setAttribute('text', original);
+      delete enrollCard.dataset.bsOriginal;
+    });
+  }
+
+  // ── Names across the page ────────────────────────────────────────────────────
+  //
+  // Outside the homepage cards, course names show up as plain text: the navbar
+  // (course title, course selector, alerts), breadcrumbs, the course banner,
+  // the calendar and document.title. Those are renamed by finding each course's
+  // official name in their text nodes and text-bearing attributes.
+  //
+  // Every value we overwrite is recorded next to what Brightspace had there, so
+  // undoing a rename puts the exact original back. If Brightspace re-renders a
+  // node, whatever it wrote becomes the new original.
+
+  const NAME_SURFACES = [
+    'd2l-navigation',         // course title, course selector and alerts
+    'd2l-breadcrumbs',
+    '.d2l-breadcrumbs',       // legacy tool pages
+    '.d2l-course-banner',
+    'd2l-dropdown-content',   // notification and course selector popovers
+    'd2l-calendar',
+    '.d2l-le-calendar',       // calendar tool and agenda
+  ].join(', ');
+  const NAME_ATTRIBUTES = ['text', 'title', 'aria-label'];
+  const NAVBAR_COURSE_LINK = '.d2l-navigation-s-title-container a[href*="/d2l/home/"]';
+
+  let officialNames = {}; // courseId → official name, see BetterSpaceStorage
+  // Text node or element → { [slot]: { original, written } }, where slot is
+  // 'data' for a text node's text and otherwise an attribute name.
+  const rewrites = new Map();
+
+  function displayNameFor(id, official) {
+    // A name typed by hand beats the rename rules.
+    return courseRecord(id).name || BetterSpaceRenameRules.applyRules(renameRules, official);
+  }
+
+  // Official names visible on this page: the homepage cards, and the navbar
+  // title of the course we're in. Remembered for pages that show neither.
+  function learnOfficialNames(elements) {
+    const seen = {};
+    elements.forEach(({ id, enrollCard }) => {
+      if (enrollCard.dataset.bsOriginal) seen[id] = enrollCard.dataset.bsOriginal;
+    });
+    components.get('courseLinks').forEach((link) => {
+      if (!link.dataset.bsOriginal) {
+        const text = link.textContent.trim();
+        if (text) link.dataset.bsOriginal = text;
+      }
+      const id = extractCourseId(link);
+      if (id && link.dataset.bsOriginal) seen[id] = link.dataset.bsOriginal;
+    });
+
+    if (Object.entries(seen).some(([id, name]) => officialNames[id] !== name)) {
+      officialNames = { ...officialNames, ...seen };
+      BetterSpaceStorage.rememberOfficialNames(host, seen);
+    }
+  }
+
+  function readSlot(target, slot) {
+    return slot === 'data' ? target.data : target.getAttribute(slot);
+  }
+
+  function writeSlot(target, slot, value) {
+    if (slot === 'data') target.data = value;
+    else target.setAttribute(slot, value);
+  }
+
+  // `replacements` is [[official, display], …], longest official name first so
+  // a name containing another is replaced whole.
+  function rewriteSlot(target, slot, replacements) {
+    const slots = rewrites.get(target) || {};
+    const entry = slots[slot];
+    const current = readSlot(target, slot);
+    if (current === null) {
+      delete slots[slot];
+    } else {
+      const original = entry && current === entry.written ? entry.original : current;
+      let next = original;
+      for (const [official, display] of replacements) {
+        if (next.includes(official)) next = next.split(official).join(display);
+      }
+      if (next !== current) writeSlot(target, slot, next);
+      if (next === original) delete slots[slot];
+      else slots[slot] = { original, written: next };
+    }
+
+    if (Object.keys(slots).length) rewrites.set(target, slots);
+    else rewrites.delete(target);
+  }
+
+  function collectTargets(root, texts, elements) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    for (let node = walker.currentNode; node; node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (node.data.trim()) texts.add(node);
+      } else if (node.nodeType === Node.ELEMENT_NODE) {
+        if (NAME_ATTRIBUTES.some((attr) => node.hasAttribute(attr))) elements.add(node);
+        if (node.shadowRoot) collectTargets(node.shadowRoot, texts, elements);
+      }
+    }
+  }
+
+  function isNameSurface(el) {
+    return el.matches(NAME_SURFACES) || (el.localName === 'title' && el.parentNode === document.head);
+  }
+
+  function onNameSurface(node) {
+    return node.isConnected && !!closestComposed(node, isNameSurface);
+  }
+
+  // Only the nodes a mutation batch touched that sit on a name surface: added
+  // subtrees are walked, changed text nodes and attributes are taken as is.
+  function collectChangedTargets(changes, texts, elements) {
+    changes.roots.forEach((node) => {
+      if (!onNameSurface(node)) return;
+      if (node.nodeType === Node.ELEMENT_NODE) collectTargets(node, texts, elements);
+      else if (node.nodeType === Node.TEXT_NODE && node.data.trim()) texts.add(node);
+    });
+    changes.targets.forEach((node) => {
+      if (!onNameSurface(node)) return;
+      if (node.nodeType === Node.TEXT_NODE) texts.add(node);
+      else elements.add(node);
+    });
+    if (changes.removed) {
+      for (const target of rewrites.keys()) {
+        if (!target.isConnected) rewrites.delete(target);
+      }
+    }
+  }
+
+  function applyPageNames(elements, changes) {
+    learnOfficialNames(elements);
+    const replacements = Object.entries(officialNames)
+      .map(([id, official]) => [official, displayNameFor(id, official)])
+      .filter(([official, display]) => display !== official)
+      .sort(([a], [b]) => b.length - a.length);
+    if (!replacements.length && !rewrites.size) return;
+
+    const texts = new Set();
+    const attributed = new Set();
+    if (changes) {
+      collectChangedTargets(changes, texts, attributed);
+    } else {
+      const title = document.querySelector('title');
+      if (title) collectTargets(title, texts, attributed);
+      components.get('nameSurfaces').forEach((el) => collectTargets(el, texts, attributed));
+
+      // Revisit earlier rewrites too, so an undone rename is restored even
+      // where the surface selectors no longer reach.
+      for (const target of rewrites.keys()) {
+        if (!target.isConnected) rewrites.delete(target);
+        else if (target.nodeType === Node.TEXT_NODE) texts.add(target);
+        else attributed.add(target);
+      }
+    }
+
+    texts.forEach((node) => rewriteSlot(node, 'data', replacements));
+    attributed.forEach((el) => {
+      NAME_ATTRIBUTES.forEach((attr) => {
+        if (el.hasAttribute(attr) || rewrites.get(el)?.[attr]) rewriteSlot(el, attr, replacements);
+      });
+    });
+  }
+
+  // Writes back every original we recorded and forgets the rewrites.
+  function restorePageNames() {
+    for (const [target, slots] of [...rewrites]) {
+      if (!target.isConnected) rewrites.delete(target);
+      else Object.keys(slots).forEach((slot) => rewriteSlot(target, slot, []));
+    }
+    components.get('courseLinks').forEach((link) => { delete link.dataset.bsOriginal; });
+  }
+
+  // ── Card layout ──────────────────────────────────────────────────────────────
+  //
+  // Hide/pin/reorder is done purely with CSS on the card host: the My Courses
+  // grid lays enrollment cards out with CSS grid, so `order` moves a card without
+  // touching Brightspace's own DOM (which Lit would just re-render over) and
+  // `display: none` drops it from the grid entirely.
+  //
+  // Sort key: pinned cards first, then the user's saved order, then whatever
+  // order Brightspace rendered the rest in.
+
+  function compareCards(a, b) {
+    const pinA = !!courseRecord(a.id).pinned;
+    const pinB = !!courseRecord(b.id).pinned;
+    if (pinA !== pinB) return pinA ? -1 : 1;
+
+    const posA = courseOrder.indexOf(a.id);
+    const posB = courseOrder.indexOf(b.id);
+    if (posA !== posB) {
+      if (posA === -1) return 1;
+      if (posB === -1) return -1;
+      return posA - posB;
+    }
+    return a.domIndex - b.domIndex;
+  }
+
+  function applyCardLayout(elements) {
+    const hasLayout = courseOrder.length > 0 ||
+      Object.values(courses).some((c) => c.pinned);
+
+    elements
+      .map((el, domIndex) => ({ ...el, domIndex }))
+      .sort(compareCards)
+      .forEach(({ id, enrollCard }, rank) => {
+        const hidden = !!courseRecord(id).hidden;
+        if (hidden) {
+          enrollCard.style.setProperty('display', 'none', 'important');
+        } else {
+          enrollCard.style.removeProperty('display');
+        }
+
+        if (hasLayout) {
+          enrollCard.style.setProperty('order', String(rank));
+        } else {
+          enrollCard.style.removeProperty('order');
+        }
+      });
+  }
+
+  function removeCardLayout(elements) {
+    elements.forEach(({ enrollCard }) => {
+      enrollCard.style.removeProperty('display');
+      enrollCard.style.removeProperty('order');
+    });
   }
 
   // ── Course list for popup ────────────────────────────────────────────────────
 
+  // Returned in display order (pinned first, then saved order) so the popup list
+  // matches the page. A course can appear in several My Courses tabs, so dedupe.
   function buildCourseList() {
+    const seen = new Set();
     return findCourseElements()
       .filter(({ enrollCard }) => enrollCard.dataset.bsOriginal) // skip not-yet-loaded
+      .filter(({ id }) => !seen.has(id) && seen.add(id))
+      .map((el, domIndex) => ({ ...el, domIndex }))
+      .sort(compareCards)
       .map(({ id, enrollCard }) => ({
         id,
         originalName: enrollCard.dataset.bsOriginal,
-        savedName: savedNames[id] || '',
+        savedName: courseRecord(id).name || '',
+        image: courseRecord(id).image || '',
+        imageFile: !!courseRecord(id).imageFile,
+        imageStyle: courseRecord(id).imageStyle || null,
+        hidden: !!courseRecord(id).hidden,
+        pinned: !!courseRecord(id).pinned,
+        color: courseRecord(id).color || null,
       }));
   }
 
   // ── Card visual enhancements ─────────────────────────────────────────────────
   //
-  // Each course card gets a unique vibrant gradient assigned by course ID.
+  // Each course card gets its course color as a stripe (see applyCourseColors).
+  // Used by both the dark and light themes; shadows come from --bs-card-shadow
+  // and --bs-card-ring, which each scheme sets.
   // Styles are injected into d2l-card's shadow root via adoptedStyleSheets so
   // they survive Lit re-renders without observer loops.
-  // CSS custom property --bs-card-gradient is set on the host element and
-  // inherits into the shadow root automatically.
-
-  const CARD_GRADIENTS = [
-    'linear-gradient(135deg, #f093fb 0%, #f5576c 100%)',  // pink → red
-    'linear-gradient(135deg, #4facfe 0%, #00f2fe 100%)',  // blue → cyan
-    'linear-gradient(135deg, #43e97b 0%, #38f9d7 100%)',  // green → teal
-    'linear-gradient(135deg, #fa709a 0%, #fee140 100%)',  // pink → yellow
-    'linear-gradient(135deg, #a18cd1 0%, #fbc2eb 100%)',  // purple → pink
-    'linear-gradient(135deg, #fccb90 0%, #d57eeb 100%)',  // orange → purple
-    'linear-gradient(135deg, #a1c4fd 0%, #c2e9fb 100%)',  // periwinkle → sky
-    'linear-gradient(135deg, #84fab0 0%, #8fd3f4 100%)',  // mint → sky blue
-  ];
+  // --bs-card-gradient is set on the enrollment card host and inherits down
+  // into d2l-card's shadow root automatically.
+
+  // Sets the course's color identity on the enrollment card host so every
+  // BetterSpace style inside the card can use it, themed or not:
+  //   --bs-course-color    the first (or only) color
+  //   --bs-card-gradient   the gradient, or a flat fill for a solid color
+  function applyCourseColors(elements) {
+    elements.forEach(({ id, enrollCard }) => {
+      const color = BetterSpaceTheme.courseColor(id, courseRecord(id));
+      const gradient = BetterSpaceTheme.courseGradient(color);
+      if (enrollCard.style.getPropertyValue('--bs-card-gradient') !== gradient) {
+        enrollCard.style.setProperty('--bs-course-color', color.from);
+        enrollCard.style.setProperty('--bs-card-gradient', gradient);
+      }
+    });
+  }
 
-  function getCardGradient(courseId) {
-    return CARD_GRADIENTS[parseInt(courseId, 10) % CARD_GRADIENTS.length];
+  function removeCourseColors(elements) {
+    elements.forEach(({ enrollCard }) => {
+      enrollCard.style.removeProperty('--bs-course-color');
+      enrollCard.style.removeProperty('--bs-card-gradient');
+    });
   }
 
   let bsCardSheet = null;
@@ -178,10 +484,10 @@
       :host {
         position: relative !important;
         background: var(--bs-surface-2, #1e1e1e) !important;
-        color: #e8e8e8 !important;
+        color: var(--bs-text, #e8e8e8) !important;
         border-radius: 14px !important;
         overflow: hidden !important;
-        box-shadow: 0 2px 14px rgba(0, 0, 0, 0.55) !important;
+        box-shadow: 0 2px 14px var(--bs-card-shadow, rgba(0, 0, 0, 0.55)) !important;
         transition: transform 0.2s ease, box-shadow 0.2s ease !important;
         display: block !important;
       }
@@ -190,7 +496,7 @@
       :host(:focus-within) {
         outline: none !important;
         box-shadow:
-          0 2px 14px rgba(0, 0, 0, 0.55),
+          0 2px 14px var(--bs-card-shadow, rgba(0, 0, 0, 0.55)),
           0 0 0 3px color-mix(in srgb, var(--bs-accent-hover, #4d9de0) 35%, transparent) !important;
       }
 
@@ -210,8 +516,8 @@
       :host(:hover) {
         transform: translateY(-4px) !important;
         box-shadow:
-          0 8px 30px rgba(0, 0, 0, 0.55),
-          0 0 0 1px rgba(255, 255, 255, 0.08) !important;
+          0 8px 30px var(--bs-card-shadow, rgba(0, 0, 0, 0.55)),
+          0 0 0 1px var(--bs-card-ring, rgba(255, 255, 255, 0.08)) !important;
       }
 
       /* Common internal containers */
@@ -247,7 +553,7 @@
       :host {
         background-color: var(--d2l-color-white, #1e1e1e) !important;
         border-color: var(--d2l-color-gypsum, #2d2d2d) !important;
-        color: #e8e8e8 !important;
+        color: var(--bs-text, #e8e8e8) !important;
       }
       *,
       ::slotted(*) {
@@ -259,12 +565,12 @@
 
   function applyAllCardDarkMode() {
     const sheet = getBsGenericCardSheet();
-    queryShadowAll('d2l-card', document.body).forEach((card) => injectSheet(card, sheet));
+    components.get('cards').forEach((card) => injectSheet(card, sheet));
   }
 
   function removeAllCardDarkMode() {
     if (!bsGenericCardSheet) return;
-    queryShadowAll('d2l-card', document.body).forEach((card) => {
+    components.get('cards').forEach((card) => {
       if (card.shadowRoot) {
         card.shadowRoot.adoptedStyleSheets =
           card.shadowRoot.adoptedStyleSheets.filter((s) => s !== bsGenericCardSheet);
@@ -279,6 +585,8 @@
   // --bs-card-image (set on the enrollCard host) via CSS inheritance.
   // d2l-organization-image is hidden with opacity:0 so the container keeps its
   // dimensions while our custom background shows through.
+  // The record's imageStyle sets the focal point (background-position) and a
+  // brightness filter so the course title stays readable over busy photos.
 
   let bsCardImageSheet = null;
 
@@ -289,7 +597,8 @@
       .d2l-enrollment-card-image-container {
         background-image: var(--bs-card-image) !important;
         background-size: cover !important;
-        background-position: center !important;
+        background-position: var(--bs-card-image-position, center) !important;
+        filter: brightness(var(--bs-card-image-brightness, 1));
       }
       .d2l-enrollment-card-image-container d2l-organization-image {
         opacity: 0 !important;
@@ -298,25 +607,55 @@
     return bsCardImageSheet;
   }
 
+  const { isSafeImageUrl, cssUrl } = BetterSpaceTheme;
+
+  function clamp(value, min, max, fallback) {
+    const n = Number(value);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+  }
+
+  function imageStyleOf(record) {
+    const style = record.imageStyle || {};
+    return {
+      x: clamp(style.x, 0, 100, 50),
+      y: clamp(style.y, 0, 100, 50),
+      brightness: clamp(style.brightness, 0, 200, 100),
+    };
+  }
+
   function applyCardImages(elements) {
     const sheet = getBsCardImageSheet();
     elements.forEach(({ id, enrollCard }) => {
-      const url = savedImages[id];
-      if (url) {
-        enrollCard.style.setProperty('--bs-card-image', `url('${url}')`);
+      const record = courseRecord(id);
+      const url = record.imageFile ? uploadedImages[id] && uploadedImages[id].blobUrl : record.image;
+      if (isSafeImageUrl(url)) {
+        const { x, y, brightness } = imageStyleOf(record);
+        enrollCard.style.setProperty('--bs-card-image', cssUrl(url));
+        enrollCard.style.setProperty('--bs-card-image-position', `${x}% ${y}%`);
+        enrollCard.style.setProperty('--bs-card-image-brightness', String(brightness / 100));
         if (enrollCard.shadowRoot && !enrollCard.shadowRoot.adoptedStyleSheets.includes(sheet)) {
           enrollCard.shadowRoot.adoptedStyleSheets = [...enrollCard.shadowRoot.adoptedStyleSheets, sheet];
         }
       } else {
-        enrollCard.style.removeProperty('--bs-card-image');
-        if (enrollCard.shadowRoot) {
-          enrollCard.shadowRoot.adoptedStyleSheets =
-            enrollCard.shadowRoot.adoptedStyleSheets.filter((s) => s !== sheet);
-        }
+        clearCardImage(enrollCard);
       }
     });
   }
 
+  function clearCardImage(enrollCard) {
+    enrollCard.style.removeProperty('--bs-card-image');
+    enrollCard.style.removeProperty('--bs-card-image-position');
+    enrollCard.style.removeProperty('--bs-card-image-brightness');
+    if (enrollCard.shadowRoot && bsCardImageSheet) {
+      enrollCard.shadowRoot.adoptedStyleSheets =
+        enrollCard.shadowRoot.adoptedStyleSheets.filter((s) => s !== bsCardImageSheet);
+    }
+  }
+
+  function removeCardImages(elements) {
+    elements.forEach(({ enrollCard }) => clearCardImage(enrollCard));
+  }
+
   // Popover/dropdown dark mode — d2l-dropdown-content, d2l-dropdown-menu, d2l-dialog
   // all define --d2l-popover-default-background-color: #ffffff inside their shadow :host,
   // which shadows our :root overrides. Inject our own sheet to fix it.
@@ -330,7 +669,7 @@
         --d2l-popover-default-border-color: var(--d2l-color-gypsum, #2d2d2d);
         --d2l-menu-background-color: var(--d2l-color-white, #1e1e1e);
         --d2l-menu-border-color: var(--d2l-color-gypsum, #2d2d2d);
-        color: #e8e8e8;
+        color: var(--bs-text, #e8e8e8);
       }
     `);
     return bsPopoverSheet;
@@ -348,12 +687,12 @@
       :host {
         --d2l-input-background-color: var(--d2l-color-white, #1e1e1e);
         --d2l-input-border-color: var(--d2l-color-gypsum, #2d2d2d);
-        --d2l-input-text-color: #e8e8e8;
-        --d2l-input-placeholder-color: #888;
+        --d2l-input-text-color: var(--bs-text, #e8e8e8);
+        --d2l-input-placeholder-color: var(--bs-muted-text-2, #888);
       }
       .d2l-input {
         background-color: var(--d2l-color-white, #1e1e1e) !important;
-        color: #e8e8e8 !important;
+        color: var(--bs-text, #e8e8e8) !important;
         border-color: var(--d2l-color-gypsum, #2d2d2d) !important;
       }
     `);
@@ -364,12 +703,12 @@
 
   function applyAllInputDarkMode() {
     const sheet = getBsInputSheet();
-    queryShadowAll(INPUT_TAGS, document.body).forEach((el) => injectSheet(el, sheet));
+    components.get('inputs').forEach((el) => injectSheet(el, sheet));
   }
 
   function removeAllInputDarkMode() {
     if (!bsInputSheet) return;
-    queryShadowAll(INPUT_TAGS, document.body).forEach((el) => {
+    components.get('inputs').forEach((el) => {
       if (el.shadowRoot) {
         el.shadowRoot.adoptedStyleSheets =
           el.shadowRoot.adoptedStyleSheets.filter((s) => s !== bsInputSheet);
@@ -379,12 +718,12 @@
 
   function applyPopoverDarkMode() {
     const sheet = getBsPopoverSheet();
-    queryShadowAll(POPOVER_TAGS, document.body).forEach((el) => injectSheet(el, sheet));
+    components.get('popovers').forEach((el) => injectSheet(el, sheet));
   }
 
   function removePopoverDarkMode() {
     if (!bsPopoverSheet) return;
-    queryShadowAll(POPOVER_TAGS, document.body).forEach((el) => {
+    components.get('popovers').forEach((el) => {
       if (el.shadowRoot) {
         el.shadowRoot.adoptedStyleSheets =
           el.shadowRoot.adoptedStyleSheets.filter((s) => s !== bsPopoverSheet);
@@ -394,10 +733,7 @@
 
   function applyCardEnhancements(elements) {
     const sheet = getBsCardSheet();
-    elements.forEach(({ id, dCard }) => {
-      // Set gradient on host — CSS custom property inherits into shadow root.
-      dCard.style.setProperty('--bs-card-gradient', getCardGradient(id));
-
+    elements.forEach(({ dCard }) => {
       if (dCard.shadowRoot && !dCard.shadowRoot.adoptedStyleSheets.includes(sheet)) {
         dCard.shadowRoot.adoptedStyleSheets = [...dCard.shadowRoot.adoptedStyleSheets, sheet];
       }
@@ -406,7 +742,6 @@
 
   function removeCardEnhancements(elements) {
     elements.forEach(({ dCard }) => {
-      dCard.style.removeProperty('--bs-card-gradient');
       if (dCard.shadowRoot && bsCardSheet) {
         dCard.shadowRoot.adoptedStyleSheets =
           dCard.shadowRoot.adoptedStyleSheets.filter((s) => s !== bsCardSheet);
@@ -414,51 +749,862 @@
     });
   }
 
-  // ── Dark mode ────────────────────────────────────────────────────────────────
+  // ── Card editor ──────────────────────────────────────────────────────────────
+  //
+  // A pencil on each card opens an in-page editor for the course's name, image
+  // and color. It saves through BetterSpaceStorage exactly like the popup and
+  // applies straight away. The editor is a <dialog> in its own shadow root, so
+  // Brightspace's styles don't reach it and Esc / focus trapping come for free.
+  //
+  // Image uploads live here rather than in the popup: on some platforms the
+  // popup closes as soon as a file chooser opens, and the upload never runs.
+  // Uploads are scaled down so they cover a card without storing the original
+  // photo, then handed to updateCourses as a data URL on save.
+
+  const UPLOAD_COVER_WIDTH = 960;
+  const UPLOAD_COVER_HEIGHT = 540;
+  const UPLOAD_MAX_SIDE = 1920;
+
+  async function resizeImage(file) {
+    const bitmap = await createImageBitmap(file);
+    const { width, height } = bitmap;
+    // Big enough to cover a card at 2x, but never larger than the original.
+    const scale = Math.min(
+      1,
+      Math.max(UPLOAD_COVER_WIDTH / width, UPLOAD_COVER_HEIGHT / height),
+      UPLOAD_MAX_SIDE / Math.max(width, height),
+    );
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas.toDataURL('image/webp', 0.85);
+  }
+
+  let bsCardEditSheet = null;
+
+  function getBsCardEditSheet() {
+    if (bsCardEditSheet) return bsCardEditSheet;
+    bsCardEditSheet = new CSSStyleSheet();
+    bsCardEditSheet.replaceSync(`
+      :host { position: relative; }
+      .bs-card-edit {
+        position: absolute;
+        top: 8px;
+        left: 8px;
+        z-index: 2;
+        width: 28px;
+        height: 28px;
+        padding: 0;
+        border: none;
+        border-radius: 50%;
+        background: rgba(0, 0, 0, 0.55);
+        color: #fff;
+        font-size: 14px;
+        line-height: 28px;
+        cursor: pointer;
+        opacity: 0;
+        transition: opacity 0.15s;
+      }
+      :host(:hover) .bs-card-edit,
+      .bs-card-edit:focus-visible {
+        opacity: 1;
+      }
+    `);
+    return bsCardEditSheet;
+  }
+
+  function applyCardEditButtons(elements) {
+    const sheet = getBsCardEditSheet();
+    elements.forEach(({ id, enrollCard }) => {
+      const root = enrollCard.shadowRoot;
+      if (!root.adoptedStyleSheets.includes(sheet)) {
+        root.adoptedStyleSheets = [...root.adoptedStyleSheets, sheet];
+      }
+      if (root.querySelector('.bs-card-edit')) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'bs-card-edit';
+      button.textContent = '✎';
+      button.title = 'Customize this course';
+      button.setAttribute('aria-label', 'Customize this course');
+      // The whole card is a link; keep the click from opening the course.
+      button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        openCardEditor(id, enrollCard.dataset.bsOriginal || '');
+      });
+      root.appendChild(button);
+    });
+  }
+
+  function removeCardEditButtons(elements) {
+    elements.forEach(({ enrollCard }) => {
+      const root = enrollCard.shadowRoot;
+      const button = root.querySelector('.bs-card-edit');
+      if (button) button.remove();
+      if (bsCardEditSheet) {
+        root.adoptedStyleSheets = root.adoptedStyleSheets.filter((s) => s !== bsCardEditSheet);
+      }
+    });
+  }
+
+  const CARD_EDITOR_CSS = `
+    dialog {
+      width: 340px;
+      padding: 18px;
+      border: 1px solid #3a3d42;
+      border-radius: 10px;
+      background: #1f2124;
+      color: #e8e8e8;
+      font: 13px/1.4 system-ui, sans-serif;
+      box-shadow: 0 12px 40px rgba(0, 0, 0, 0.45);
+    }
+    dialog.light {
+      border-color: #d6dae0;
+      background: #ffffff;
+      color: #1d2126;
+    }
+    dialog::backdrop { background: rgba(0, 0, 0, 0.4); }
+    h2 { margin: 0 0 2px; font-size: 15px; }
+    .original { margin: 0 0 14px; font-size: 11px; opacity: 0.65; overflow-wrap: anywhere; }
+    label, .label { display: block; margin: 0 0 4px; font-size: 11px; font-weight: 600; opacity: 0.8; }
+    .field { margin-bottom: 12px; }
+    input[type="text"], input[type="url"] {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 6px 9px;
+      border: 1px solid rgba(128, 128, 128, 0.45);
+      border-radius: 6px;
+      background: transparent;
+      color: inherit;
+      font: inherit;
+    }
+    input.invalid { border-color: #e0505f; }
+    .image-row { display: flex; gap: 6px; }
+    .image-row input { flex: 1; min-width: 0; }
+    .colors { display: flex; align-items: center; gap: 8px; }
+    .preview { width: 36px; height: 22px; border-radius: 5px; }
+    input[type="color"] { width: 30px; height: 24px; padding: 0; border: none; background: none; }
+    .solid { display: flex; align-items: center; gap: 4px; margin: 0; font-weight: 400; }
+    .status { margin: 12px 0 0; font-size: 11px; color: #e0505f; overflow-wrap: anywhere; }
+    .status:empty { display: none; }
+    .actions { display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px; }
+    button {
+      padding: 6px 14px;
+      border: 1px solid rgba(128, 128, 128, 0.45);
+      border-radius: 6px;
+      background: transparent;
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    }
+    button.primary { border-color: #3b82c4; background: #3b82c4; color: #fff; }
+    button:disabled { opacity: 0.5; cursor: default; }
+  `;
+
+  const CARD_EDITOR_HTML = `
+    <dialog aria-labelledby="bs-editor-title">
+      <form method="dialog">
+        <h2 id="bs-editor-title">Customize course</h2>
+        <p class="original"></p>
+        <div class="field">
+          <label for="bs-editor-name">Name</label>
+          <input type="text" id="bs-editor-name" autocomplete="off">
+        </div>
+        <div class="field">
+          <label for="bs-editor-image">Background image URL</label>
+          <div class="image-row">
+            <input type="url" id="bs-editor-image" autocomplete="off">
+            <button type="button" class="upload" title="Use an image from this computer">Upload…</button>
+            <input type="file" class="file" accept="image/*" hidden>
+          </div>
+        </div>
+        <div class="field">
+          <span class="label" id="bs-editor-color">Color</span>
+          <div class="colors" role="group" aria-labelledby="bs-editor-color">
+            <span class="preview"></span>
+            <input type="color" class="from" aria-label="Course color">
+            <input type="color" class="to" aria-label="Gradient end color">
+            <label class="solid"><input type="checkbox" class="solid-input"> Solid</label>
+            <button type="button" class="reset" title="Use default color">↺</button>
+          </div>
+        </div>
+        <p class="status" role="alert"></p>
+        <div class="actions">
+          <button type="button" class="cancel">Cancel</button>
+          <button type="submit" class="primary save">Save</button>
+        </div>
+      </form>
+    </dialog>
+  `;
+
+  let cardEditor = null; // built on first use; see buildCardEditor()
+
+  function buildCardEditor() {
+    const container = document.createElement('div');
+    container.id = 'bs-card-editor';
+    const root = container.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${CARD_EDITOR_CSS}</style>${CARD_EDITOR_HTML}`;
+    document.body.appendChild(container);
+
+    const $ = (selector) => root.querySelector(selector);
+    const editor = {
+      dialog: $('dialog'),
+      original: $('.original'),
+      name: $('#bs-editor-name'),
+      image: $('#bs-editor-image'),
+      preview: $('.preview'),
+      from: $('.from'),
+      to: $('.to'),
+      solid: $('.solid-input'),
+      save: $('.save'),
+      status: $('.status'),
+      file: $('.file'),
+      courseId: null,
+      color: null, // the picked color, or null for the default
+      upload: null, // data URL of a resized upload waiting for Save
+    };
+
+    editor.renderColor = () => {
+      const color = editor.color || BetterSpaceTheme.defaultCourseColor(editor.courseId);
+      editor.preview.style.background = BetterSpaceTheme.courseGradient(color);
+      editor.from.value = color.from;
+      editor.to.value = color.to || color.from;
+      editor.solid.checked = !color.to;
+      editor.to.hidden = !color.to;
+    };
+    const pickColor = () => {
+      editor.color = editor.solid.checked
+        ? { from: editor.from.value }
+        : { from: editor.from.value, to: editor.to.value };
+      editor.renderColor();
+    };
+    editor.from.addEventListener('input', pickColor);
+    editor.to.addEventListener('input', pickColor);
+    editor.solid.addEventListener('change', pickColor);
+    $('.reset').addEventListener('click', () => {
+      editor.color = null;
+      editor.renderColor();
+    });
+
+    $('.upload').addEventListener('click', () => editor.file.click());
+    editor.file.addEventListener('change', async () => {
+      const file = editor.file.files[0];
+      editor.file.value = '';
+      if (!file) return;
+      editor.status.textContent = '';
+      try {
+        editor.upload = await resizeImage(file);
+      } catch {
+        editor.status.textContent = 'That file could not be read as an image.';
+        return;
+      }
+      editor.image.value = '';
+      editor.image.placeholder = `${file.name} — saved with Save`;
+      editor.image.classList.remove('invalid');
+      editor.save.disabled = false;
+    });
+
+    editor.image.addEventListener('input', () => {
+      const value = editor.image.value.trim();
+      const invalid = !!value && !isSafeImageUrl(value);
+      editor.image.classList.toggle('invalid', invalid);
+      editor.save.disabled = invalid;
+    });
+
+    $('.cancel').addEventListener('click', () => editor.dialog.close());
+    $('form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      editor.status.textContent = '';
+      saveCardEditor()
+        .then(() => editor.dialog.close())
+        .catch((err) => {
+          editor.status.textContent = `Couldn't save. ${err.message}`;
+        });
+    });
+    return editor;
+  }
+
+  function openCardEditor(id, original) {
+    if (!cardEditor || !cardEditor.dialog.isConnected) cardEditor = buildCardEditor();
+    const record = courseRecord(id);
+    const editor = cardEditor;
+
+    editor.courseId = id;
+    editor.dialog.classList.toggle('light', activeScheme !== 'dark');
+    editor.original.textContent = original;
+    editor.name.value = record.name || '';
+    editor.name.placeholder = original ? BetterSpaceRenameRules.applyRules(renameRules, original) : '';
+    editor.image.value = record.imageFile ? '' : record.image || '';
+    editor.image.placeholder = record.imageFile
+      ? 'Uploaded image — paste a URL to replace it'
+      : 'https://…';
+    editor.image.classList.remove('invalid');
+    editor.save.disabled = false;
+    editor.status.textContent = '';
+    editor.upload = null;
+    editor.color = BetterSpaceTheme.isCourseColor(record.color) ? record.color : null;
+    editor.renderColor();
+
+    editor.dialog.showModal();
+    editor.name.focus();
+  }
+
+  async function saveCardEditor() {
+    const editor = cardEditor;
+    const id = editor.courseId;
+    const record = courseRecord(id);
+    const patch = {
+      name: editor.name.value.trim(),
+      color: editor.color || '',
+    };
+    const image = editor.image.value.trim();
+    // An empty URL field leaves an uploaded image alone; a URL replaces it.
+    if (editor.upload && !image) {
+      patch.image = '';
+      patch.imageFile = editor.upload;
+    } else if (image) {
+      patch.image = image;
+      if (record.imageFile) patch.imageFile = '';
+    } else if (!record.imageFile) {
+      patch.image = '';
+    }
+
+    // The storage listener applies it, here and in every other tab.
+    await BetterSpaceStorage.updateCourses(host, { [id]: patch });
+  }
+
+  // ── Quick switcher ───────────────────────────────────────────────────────────
+  //
+  // Ctrl+K (⌘K on macOS) opens a search box over the page listing every course
+  // we know the name of: the homepage cards and the official names remembered
+  // from them. Matches are fuzzy against both the display name and the
+  // official one; with an empty query, recently visited courses come first.
+  //
+  // ↑/↓ pick a course, ←/→ pick where to go in it, Enter goes there (in a new
+  // tab with Ctrl/⌘). Inside an iframe the shortcut is forwarded to the top
+  // frame, which is the one that holds the course data.
+
+  const SWITCHER_TOOLS = [
+    { label: 'Home', path: (id) => `/d2l/home/${id}` },
+    { label: 'Content', path: (id) => `/d2l/le/content/${id}/Home` },
+    { label: 'Grades', path: (id) => `/d2l/lms/grades/my_grades/main.d2l?ou=${id}` },
+    { label: 'Assignments', path: (id) => `/d2l/lms/dropbox/user/folders_list.d2l?ou=${id}` },
+  ];
+  const SWITCHER_MESSAGE = 'betterspace:quick-switcher';
+  const MAX_SWITCHER_RESULTS = 12;
+
+  let recentCourses = [];
+  let switcher = null; // built on first use; see buildSwitcher()
+
+  // The course a Brightspace URL belongs to, if any: /d2l/home/{id},
+  // /d2l/le/<tool>/{id}/…, or any page with ?ou={id}.
+  function courseIdFromUrl(url) {
+    const { pathname, searchParams } = new URL(url, location.href);
+    const ou = searchParams.get('ou');
+    if (ou && /^\d+$/.test(ou)) return ou;
+    const match = pathname.match(/^\/d2l\/(?:home|le\/[a-z]+)\/(\d+)(?:\/|$)/);
+    return match ? match[1] : null;
+  }
+
+  async function recordVisit() {
+    const id = courseIdFromUrl(location.href);
+    if (id) await BetterSpaceStorage.recordCourseVisit(host, id);
+    recentCourses = await BetterSpaceStorage.getRecentCourses(host);
+  }
+
+  // Subsequence match: every query character must appear in order. Runs of
+  // consecutive characters and matches at word starts score higher; null
+  // means no match.
+  function fuzzyScore(query, text) {
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const ch of q) {
+      if (ch === ' ') continue;
+      const at = t.indexOf(ch, from);
+      if (at === -1) return null;
+      score += 1;
+      if (at === previous + 1) score += 3;
+      if (at === 0 || /[\s\-_(]/.test(t[at - 1])) score += 2;
+      previous = at;
+      from = at + 1;
+    }
+    return score - t.length / 100;
+  }
+
+  function switcherCourses() {
+    const ids = new Set([...Object.keys(officialNames), ...Object.keys(courses).filter((id) => courses[id].name)]);
+    return [...ids].map((id) => {
+      const official = officialNames[id] || '';
+      return { id, official, name: official ? displayNameFor(id, official) : courseRecord(id).name };
+    });
+  }
+
+  function searchCourses(query) {
+    const recency = (id) => {
+      const index = recentCourses.indexOf(id);
+      return index === -1 ? Infinity : index;
+    };
+    const all = switcherCourses();
+    if (!query.trim()) {
+      return all
+        .sort((a, b) => recency(a.id) - recency(b.id) || a.name.localeCompare(b.name))
+        .slice(0, MAX_SWITCHER_RESULTS);
+    }
+    return all
+      .map((course) => {
+        const scores = [fuzzyScore(query, course.name), fuzzyScore(query, course.official)]
+          .filter((s) => s !== null);
+        return { ...course, score: scores.length ? Math.max(...scores) : null };
+      })
+      .filter((course) => course.score !== null)
+      .sort((a, b) => b.score - a.score || recency(a.id) - recency(b.id))
+      .slice(0, MAX_SWITCHER_RESULTS);
+  }
+
+  const SWITCHER_CSS = `
+    dialog {
+      width: min(560px, 92vw);
+      margin-top: 12vh;
+      padding: 0;
+      border: 1px solid #3a3d42;
+      border-radius: 10px;
+      background: #1f2124;
+      color: #e8e8e8;
+      font: 14px/1.4 system-ui, sans-serif;
+      box-shadow: 0 16px 48px rgba(0, 0, 0, 0.5);
+    }
+    dialog.light { border-color: #d6dae0; background: #ffffff; color: #1d2126; }
+    dialog::backdrop { background: rgba(0, 0, 0, 0.35); }
+    input {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 14px 16px;
+      border: none;
+      border-bottom: 1px solid rgba(128, 128, 128, 0.3);
+      background: transparent;
+      color: inherit;
+      font: inherit;
+      font-size: 16px;
+      outline: none;
+    }
+    ul { margin: 0; padding: 6px; list-style: none; max-height: 50vh; overflow-y: auto; }
+    li { display: flex; align-items: center; gap: 10px; padding: 8px 10px; border-radius: 6px; cursor: pointer; }
+    li[aria-selected="true"] { background: rgba(79, 172, 254, 0.16); }
+    .swatch { flex: none; width: 10px; height: 10px; border-radius: 3px; }
+    .names { flex: 1; min-width: 0; }
+    .name, .official { overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+    .official { font-size: 11px; opacity: 0.6; }
+    .tools { display: none; gap: 4px; }
+    li[aria-selected="true"] .tools { display: flex; }
+    .tool { padding: 2px 8px; border-radius: 10px; font-size: 11px; opacity: 0.75; }
+    .tool.active { background: #3b82c4; color: #fff; opacity: 1; }
+    .empty, .hint { padding: 10px 16px; font-size: 12px; opacity: 0.6; }
+    .hint { border-top: 1px solid rgba(128, 128, 128, 0.3); }
+  `;
+
+  function buildSwitcher() {
+    const container = document.createElement('div');
+    container.id = 'bs-quick-switcher';
+    const root = container.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${SWITCHER_CSS}</style>
+      <dialog aria-label="Go to course">
+        <input type="text" placeholder="Go to course…" autocomplete="off" spellcheck="false"
+          role="combobox" aria-controls="bs-switcher-results" aria-expanded="true">
+        <ul id="bs-switcher-results" role="listbox"></ul>
+        <p class="empty" hidden>No matching courses.</p>
+        <p class="hint">↑↓ course · ←→ Home / Content / Grades / Assignments · Enter to open · Ctrl+Enter in a new tab</p>
+      </dialog>`;
+    document.body.appendChild(container);
+
+    const state = {
+      dialog: root.querySelector('dialog'),
+      input: root.querySelector('input'),
+      list: root.querySelector('ul'),
+      empty: root.querySelector('.empty'),
+      results: [],
+      selected: 0,
+      tool: 0,
+    };
+
+    state.input.addEventListener('input', () => {
+      state.selected = 0;
+      state.tool = 0;
+      renderSwitcher();
+    });
+    state.input.addEventListener('keydown', (e) => {
+      const { results } = state;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (!results.length) return;
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        state.selected = (state.selected + step + results.length) % results.length;
+      } else if ((e.key === 'ArrowRight' || e.key === 'ArrowLeft') && results.length &&
+        state.input.selectionStart === state.input.value.length) {
+        const step = e.key === 'ArrowRight' ? 1 : -1;
+        state.tool = (state.tool + step + SWITCHER_TOOLS.length) % SWITCHER_TOOLS.length;
+      } else if (e.key === 'Enter') {
+        if (results[state.selected]) goToCourse(results[state.selected].id, state.tool, e.ctrlKey || e.metaKey);
+      } else {
+        return;
+      }
+      e.preventDefault();
+      renderSwitcher();
+    });
+    return state;
+  }
+
+  function renderSwitcher() {
+    const state = switcher;
+    state.results = searchCourses(state.input.value);
+    state.list.innerHTML = '';
+    state.empty.hidden = state.results.length > 0;
+
+    state.results.forEach((course, index) => {
+      const li = document.createElement('li');
+      li.id = `bs-switcher-${course.id}`;
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', String(index === state.selected));
+
+      const swatch = document.createElement('span');
+      swatch.className = 'swatch';
+      swatch.style.background = BetterSpaceTheme.courseGradient(
+        BetterSpaceTheme.courseColor(course.id, courseRecord(course.id)));
+
+      const names = document.createElement('div');
+      names.className = 'names';
+      const name = document.createElement('div');
+      name.className = 'name';
+      name.textContent = course.name;
+      names.appendChild(name);
+      if (course.official && course.official !== course.name) {
+        const official = document.createElement('div');
+        official.className = 'official';
+        official.textContent = course.official;
+        names.appendChild(official);
+      }
+
+      const tools = document.createElement('div');
+      tools.className = 'tools';
+      SWITCHER_TOOLS.forEach(({ label }, toolIndex) => {
+        const tool = document.createElement('span');
+        tool.className = `tool${toolIndex === state.tool ? ' active' : ''}`;
+        tool.textContent = label;
+        tool.addEventListener('click', (e) => {
+          e.stopPropagation();
+          goToCourse(course.id, toolIndex, e.ctrlKey || e.metaKey);
+        });
+        tools.appendChild(tool);
+      });
+
+      li.append(swatch, names, tools);
+      li.addEventListener('click', (e) => goToCourse(course.id, 0, e.ctrlKey || e.metaKey));
+      state.list.appendChild(li);
+    });
+
+    const selected = state.results[state.selected];
+    if (selected) {
+      state.input.setAttribute('aria-activedescendant', `bs-switcher-${selected.id}`);
+      state.list.children[state.selected].scrollIntoView({ block: 'nearest' });
+    } else {
+      state.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function goToCourse(id, toolIndex, newTab) {
+    const url = new URL(SWITCHER_TOOLS[toolIndex].path(id), location.origin).href;
+    switcher.dialog.close();
+    if (newTab) window.open(url, '_blank', 'noopener');
+    else location.assign(url);
+  }
+
+  function openSwitcher() {
+    if (!switcher || !switcher.dialog.isConnected) switcher = buildSwitcher();
+    if (switcher.dialog.open) return;
+    switcher.dialog.classList.toggle('light', activeScheme !== 'dark');
+    switcher.input.value = '';
+    switcher.selected = 0;
+    switcher.tool = 0;
+    renderSwitcher();
+    switcher.dialog.showModal();
+    switcher.input.focus();
+  }
+
+  function isSwitcherShortcut(e) {
+    return e.key.toLowerCase() === 'k' && (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey;
+  }
+
+  // Leaves Ctrl+K alone while typing, where editors use it to insert a link.
+  function isEditable(target) {
+    return target instanceof Element &&
+      (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+  }
+
+  function wireSwitcherShortcut() {
+    document.addEventListener('keydown', (e) => {
+      if (!active || !isSwitcherShortcut(e) || isEditable(e.composedPath()[0])) return;
+      e.preventDefault();
+      if (isFrame) window.top.postMessage({ type: SWITCHER_MESSAGE }, location.origin);
+      else openSwitcher();
+    }, true);
+
+    if (!isFrame) {
+      window.addEventListener('message', (e) => {
+        if (!active || e.origin !== location.origin) return;
+        if (e.data && e.data.type === SWITCHER_MESSAGE) openSwitcher();
+      });
+    }
+  }
+
+  // ── Due dates panel ──────────────────────────────────────────────────────────
+  //
+  // On the homepage, a widget after My Courses lists upcoming deadlines from
+  // the Valence API (see valence.js), grouped by day with overdue items first.
+  // The host element borrows Brightspace's widget classes so it picks up the
+  // page's (and our themes') widget styling; everything inside lives in a
+  // shadow root and only uses --d2l-color-* tokens, which inherit into it.
+
+  const { DEADLINE_KIND_LABELS } = BetterSpaceValence;
+
+  let dueDateSettings = null;
+  let duePanel = null; // { host, list, status, refresh }
+
+  const DUE_PANEL_CSS = `
+    :host { display: block; }
+    .header { display: flex; align-items: center; justify-content: space-between; padding: 12px 18px 6px; }
+    h2 { margin: 0; font-size: 1rem; font-weight: 700; color: var(--d2l-color-ferrite, #202122); }
+    .refresh {
+      padding: 3px 8px;
+      border: 1px solid var(--d2l-color-gypsum, #e3e9f1);
+      border-radius: 5px;
+      background: transparent;
+      color: var(--d2l-color-tungsten, #6e7477);
+      font: inherit;
+      font-size: 0.75rem;
+      cursor: pointer;
+    }
+    .refresh:disabled { opacity: 0.5; cursor: default; }
+    .body { padding: 0 18px 14px; }
+    .status { margin: 6px 0; font-size: 0.8rem; color: var(--d2l-color-tungsten, #6e7477); }
+    h3 {
+      margin: 12px 0 4px;
+      font-size: 0.75rem;
+      font-weight: 700;
+      letter-spacing: 0.04em;
+      text-transform: uppercase;
+      color: var(--d2l-color-tungsten, #6e7477);
+    }
+    h3.overdue { color: var(--d2l-color-feedback-error, #cd2026); }
+    ul { margin: 0; padding: 0; list-style: none; }
+    li {
+      display: grid;
+      grid-template-columns: 4px 1fr auto;
+      gap: 2px 10px;
+      padding: 7px 0;
+      border-bottom: 1px solid var(--d2l-color-gypsum, #e3e9f1);
+    }
+    li:last-child { border-bottom: none; }
+    .stripe { grid-row: span 2; border-radius: 2px; }
+    a { color: var(--d2l-color-celestine, #006fbf); font-weight: 600; text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    time { font-size: 0.8rem; color: var(--d2l-color-ferrite, #202122); white-space: nowrap; }
+    li.overdue time { color: var(--d2l-color-feedback-error, #cd2026); font-weight: 600; }
+    .meta { grid-column: 2 / 4; font-size: 0.75rem; color: var(--d2l-color-tungsten, #6e7477); }
+  `;
+
+  function isHomepage() {
+    return /^\/d2l\/home\/?$/.test(location.pathname);
+  }
+
+  function buildDuePanel() {
+    const host = document.createElement('div');
+    host.className = 'd2l-widget d2l-tile bs-due-panel';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${DUE_PANEL_CSS}</style>
+      <div class="header">
+        <h2>Upcoming due dates</h2>
+        <button type="button" class="refresh">Refresh</button>
+      </div>
+      <div class="body">
+        <p class="status" role="status"></p>
+        <div class="list"></div>
+      </div>`;
+    const panel = {
+      host,
+      list: root.querySelector('.list'),
+      status: root.querySelector('.status'),
+      refresh: root.querySelector('.refresh'),
+    };
+    panel.refresh.addEventListener('click', () => refreshDueDates(true));
+    return panel;
+  }
+
+  // Puts the panel after the My Courses widget once that has rendered, and
+  // again if Brightspace re-renders the homepage layout around it.
+  function applyDueDatesPanel() {
+    if (!dueDateSettings || !dueDateSettings.enabled || !isHomepage()) return;
+    if (duePanel && duePanel.host.isConnected) return;
+    const [myCourses] = components.get('myCourses');
+    if (!myCourses) return;
+
+    duePanel = duePanel || buildDuePanel();
+    (myCourses.closest('.d2l-widget') || myCourses).after(duePanel.host);
+    refreshDueDates(false);
+  }
+
+  function dayLabel(due, now) {
+    const day = new Date(due).setHours(0, 0, 0, 0);
+    const today = new Date(now).setHours(0, 0, 0, 0);
+    const days = Math.round((day - today) / (24 * 60 * 60 * 1000));
+    if (days === 0) return 'Today';
+    if (days === 1) return 'Tomorrow';
+    return new Date(due).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+  }
+
+  function dueItem(item, overdue) {
+    const li = document.createElement('li');
+    if (overdue) li.className = 'overdue';
+
+    const stripe = document.createElement('span');
+    stripe.className = 'stripe';
+    stripe.style.background = BetterSpaceTheme.courseGradient(
+      BetterSpaceTheme.courseColor(item.courseId, courseRecord(item.courseId)));
+
+    const link = document.createElement('a');
+    link.href = item.url;
+    link.textContent = item.title;
+
+    const time = document.createElement('time');
+    time.dateTime = new Date(item.due).toISOString();
+    const clock = new Date(item.due).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+    time.textContent = overdue ? `${dayLabel(item.due, Date.now())}, ${clock}` : clock;
+
+    const meta = document.createElement('span');
+    meta.className = 'meta';
+    meta.textContent = `${DEADLINE_KIND_LABELS[item.kind]} · ${displayNameFor(item.courseId, item.courseName)}`;
+
+    li.append(stripe, link, time, meta);
+    return li;
+  }
+
+  // Courses hidden from the homepage are left out here too.
+  function renderDueDates({ items, failed }) {
+    const now = Date.now();
+    const groups = new Map();
+    for (const item of items) {
+      if (courseRecord(item.courseId).hidden) continue;
+      const label = item.due < now ? 'Overdue' : dayLabel(item.due, now);
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(item);
+    }
+
+    duePanel.list.innerHTML = '';
+    // Items are sorted by due date, so Overdue (if any) is the first group.
+    for (const [label, groupItems] of groups) {
+      const heading = document.createElement('h3');
+      heading.textContent = label;
+      if (label === 'Overdue') heading.className = 'overdue';
+      const ul = document.createElement('ul');
+      groupItems.forEach((item) => ul.appendChild(dueItem(item, label === 'Overdue')));
+      duePanel.list.append(heading, ul);
+    }
+
+    const notes = [];
+    if (!groups.size) notes.push(`Nothing due in the next ${dueDateSettings.daysAhead} days.`);
+    if (failed) notes.push(`${failed} list(s) couldn't be loaded.`);
+    duePanel.status.textContent = notes.join(' ');
+  }
+
+  async function refreshDueDates(force) {
+    const panel = duePanel;
+    panel.refresh.disabled = true;
+    if (force || !panel.list.childElementCount) panel.status.textContent = 'Loading…';
+    try {
+      const entry = await BetterSpaceValence.loadDeadlines(host, { force });
+      // Enrollments carry every course's official name; remember them for
+      // renaming pages that have no course cards.
+      const names = Object.fromEntries(entry.courses.map((c) => [c.id, c.name]));
+      officialNames = await BetterSpaceStorage.rememberOfficialNames(host, names);
+      renderDueDates(entry);
+    } catch (err) {
+      panel.status.textContent = `Couldn't load due dates. ${err.message}`;
+    } finally {
+      panel.refresh.disabled = false;
+    }
+  }
+
+  // ── Themes ───────────────────────────────────────────────────────────────────
   //
   // Strategy: CSS custom properties inherit across Shadow DOM boundaries, so
   // overriding Brightspace's own design tokens on :root propagates into every
   // d2l-* component without needing JS tricks or filter hacks.
-
-  const DEFAULT_THEME = {
-    background: '#121212',
-    surface:    '#1e1e1e',
-    border:     '#2d2d2d',
-    accent:     '#4d9de0',
+  //
+  // The dark and light palettes share one rule set, scoped by html.bs-dark-mode
+  // or html.bs-light-mode; each gets its own <style> so switching scheme is just
+  // a class flip. The few values that can't be derived from the palette (shadow
+  // strength, which way hover colors lean) are picked per scheme here.
+
+  const { PALETTES, sanitizeColors } = BetterSpaceTheme;
+
+  const SCHEME_TUNING = {
+    dark: {
+      hoverMix: '#ffffff',
+      shadow: 'rgba(0, 0, 0, 0.5)',
+      cardShadow: 'rgba(0, 0, 0, 0.55)',
+      cardRing: 'rgba(255, 255, 255, 0.08)',
+      overlay: 'rgba(0, 0, 0, 0.65)',
+    },
+    light: {
+      hoverMix: '#000000',
+      shadow: 'rgba(15, 23, 42, 0.12)',
+      cardShadow: 'rgba(15, 23, 42, 0.14)',
+      cardRing: 'rgba(15, 23, 42, 0.08)',
+      overlay: 'rgba(15, 23, 42, 0.4)',
+    },
   };
 
-  function buildDarkModeCSS(colors) {
-    const c = { ...DEFAULT_THEME, ...colors };
+  function buildThemeCSS(colors, scheme) {
+    const c = { ...PALETTES[scheme].defaults, ...colors };
+    const t = SCHEME_TUNING[scheme];
+    const root = `html.bs-${scheme}-mode`;
     return `
-      :root {
-        --bs-accent-hover: color-mix(in srgb, ${c.accent} 70%, #ffffff);
-        --bs-muted-text: color-mix(in srgb, #ffffff 72%, ${c.background});
-        --bs-muted-text-2: color-mix(in srgb, #ffffff 55%, ${c.background});
+      ${root} {
+        --bs-accent-hover: color-mix(in srgb, ${c.accent} 70%, ${t.hoverMix});
+        --bs-text: ${c.text};
+        --bs-muted-text: ${c.mutedText};
+        --bs-muted-text-2: color-mix(in srgb, ${c.mutedText} 75%, ${c.background});
         --bs-surface-2: color-mix(in srgb, ${c.surface} 78%, ${c.background});
         --bs-surface-3: color-mix(in srgb, ${c.surface} 62%, ${c.background});
+        --bs-card-shadow: ${t.cardShadow};
+        --bs-card-ring: ${t.cardRing};
       }
 
       /* ── Body & page structure ───────────────────────────────────────────────── */
-      html.bs-dark-mode,
-      html.bs-dark-mode body {
+      ${root},
+      ${root} body {
         background-color: ${c.background} !important;
-        color: #e8e8e8;
+        color: ${c.text};
         scrollbar-color: ${c.border} ${c.background};
       }
 
-      html.bs-dark-mode .d2l-page-main,
-      html.bs-dark-mode .d2l-page-main-padding,
-      html.bs-dark-mode .d2l-homepage {
+      ${root} .d2l-page-main,
+      ${root} .d2l-page-main-padding,
+      ${root} .d2l-homepage {
         background-color: ${c.background} !important;
       }
 
-      html.bs-dark-mode .homepage-container,
-      html.bs-dark-mode .homepage-row {
+      ${root} .homepage-container,
+      ${root} .homepage-row {
         background-color: ${c.background} !important;
       }
 
       /* ── CSS custom properties — propagate into all shadow roots ─────────────── */
-      html.bs-dark-mode {
+      ${root} {
         /* Backgrounds */
         --d2l-color-white: ${c.surface};
         --d2l-color-sylvite: ${c.background};
@@ -469,46 +1615,46 @@
         --d2l-color-mica: ${c.border};
         --d2l-color-corundum: ${c.border};
         --d2l-color-chromite: color-mix(in srgb, ${c.border} 70%, #000000);
-        /* Text (fixed — not user-customizable) */
-        --d2l-color-ferrite: #e8e8e8;
+        /* Text */
+        --d2l-color-ferrite: ${c.text};
         --d2l-color-galena: var(--bs-muted-text);
         --d2l-color-tungsten: var(--bs-muted-text-2);
-        --d2l-color-titanium: color-mix(in srgb, #ffffff 40%, ${c.background});
-        --d2l-color-black: ${c.background};
+        --d2l-color-titanium: color-mix(in srgb, ${c.mutedText} 55%, ${c.background});
+        --d2l-color-black: ${scheme === 'dark' ? c.background : c.text};
         /* Accent */
         --d2l-color-celestine: ${c.accent};
         --d2l-color-celestine-plus-1: var(--bs-accent-hover);
         --d2l-color-celestine-minus-1: ${c.accent};
-        --d2l-color-celestine-plus-2: ${c.background};
+        --d2l-color-celestine-plus-2: ${scheme === 'dark' ? c.background : `color-mix(in srgb, ${c.accent} 12%, ${c.surface})`};
         --d2l-color-primary-accent-action: ${c.accent};
         --d2l-color-primary-accent-indicator: ${c.accent};
         --d2l-link-color: ${c.accent};
         --d2l-link-color-hover: var(--bs-accent-hover);
-        /* Status (fixed) */
-        --d2l-color-feedback-error: #ff6b6b;
-        --d2l-color-feedback-warning: #ffb84d;
-        --d2l-color-feedback-success: #4dcc40;
+        /* Status */
+        --d2l-color-feedback-error: ${c.error};
+        --d2l-color-feedback-warning: ${c.warning};
+        --d2l-color-feedback-success: ${c.success};
         --d2l-color-feedback-action: ${c.accent};
         --d2l-color-feedback-info: ${c.accent};
         /* Inputs */
         --d2l-input-background-color: ${c.surface};
         --d2l-input-border-color: ${c.border};
-        --d2l-input-text-color: #e8e8e8;
+        --d2l-input-text-color: ${c.text};
         --d2l-input-placeholder-color: var(--bs-muted-text-2);
         /* Focus rings */
         --d2l-focus-color: ${c.accent};
         --d2l-focus-box-shadow: 0 0 0 3px color-mix(in srgb, ${c.accent} 35%, transparent);
         /* Overlays */
-        --d2l-color-overlay: rgba(0, 0, 0, 0.65);
+        --d2l-color-overlay: ${t.overlay};
         /* Popovers/dropdowns — set primary var (not just -default-) so CSS inheritance
            bypasses each component's shadow :host hardcoding of the default value */
         --d2l-popover-background-color: ${c.surface};
         --d2l-popover-border-color: ${c.border};
-        --d2l-popover-foreground-color: #e8e8e8;
-        --d2l-popover-shadow-color: rgba(0, 0, 0, 0.5);
+        --d2l-popover-foreground-color: ${c.text};
+        --d2l-popover-shadow-color: ${t.shadow};
         /* Menu items */
         --d2l-menu-background-color: ${c.surface};
-        --d2l-menu-foreground-color: #e8e8e8;
+        --d2l-menu-foreground-color: ${c.text};
         /* Tables — d2l-table-wrapper :host uses var(--d2l-color-regolith) for the header
            background, which we already override above; controls backdrop defaults to white */
         --d2l-table-controls-background-color: ${c.surface};
@@ -516,381 +1662,423 @@
 
       /* ── Navigation ──────────────────────────────────────────────────────────── */
       /* Secondary nav band — UTRGV hardcodes background-color: #4C4A4F here */
-      html.bs-dark-mode .d2l-branding-navigation-background-color {
+      ${root} .d2l-branding-navigation-background-color {
         background-color: var(--bs-surface-2) !important;
       }
 
-      html.bs-dark-mode .d2l-navigation-s {
+      ${root} .d2l-navigation-s {
         background-color: ${c.surface} !important;
         border-bottom-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode .d2l-navigation-s-main-wrapper,
-      html.bs-dark-mode .d2l-navigation-s-linkarea-has-color {
+      ${root} .d2l-navigation-s-main-wrapper,
+      ${root} .d2l-navigation-s-linkarea-has-color {
         background-color: ${c.surface} !important;
       }
 
-      html.bs-dark-mode .d2l-navigation-s-header,
-      html.bs-dark-mode .d2l-navigation-s-header-content,
-      html.bs-dark-mode .d2l-navigation-s-header-logo-area {
+      ${root} .d2l-navigation-s-header,
+      ${root} .d2l-navigation-s-header-content,
+      ${root} .d2l-navigation-s-header-logo-area {
         background-color: ${c.surface} !important;
       }
 
-      html.bs-dark-mode .d2l-navigation-s-group,
-      html.bs-dark-mode .d2l-navigation-s-link {
+      ${root} .d2l-navigation-s-group,
+      ${root} .d2l-navigation-s-link {
         background-color: transparent !important;
       }
 
       /* Nav menu group buttons and direct links (slotted light-DOM elements) */
-      html.bs-dark-mode .d2l-navigation-s-group-text,
-      html.bs-dark-mode .d2l-navigation-s-link {
-        color: #c8c8c8 !important;
+      ${root} .d2l-navigation-s-group-text,
+      ${root} .d2l-navigation-s-link {
+        color: var(--bs-muted-text) !important;
       }
 
-      html.bs-dark-mode .d2l-navigation-s-group-text:hover,
-      html.bs-dark-mode .d2l-navigation-s-link:hover {
-        color: #ffffff !important;
+      ${root} .d2l-navigation-s-group-text:hover,
+      ${root} .d2l-navigation-s-link:hover {
+        color: ${c.text} !important;
       }
 
       /* Profile/user display name in header */
-      html.bs-dark-mode .d2l-navigation-s-personal-menu-text {
-        color: #e8e8e8 !important;
+      ${root} .d2l-navigation-s-personal-menu-text {
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode .d2l-navigation-s-home-icon,
-      html.bs-dark-mode .d2l-navigation-s-notification,
-      html.bs-dark-mode .d2l-navigation-s-admin-menu {
-        color: #e8e8e8 !important;
+      ${root} .d2l-navigation-s-home-icon,
+      ${root} .d2l-navigation-s-notification,
+      ${root} .d2l-navigation-s-admin-menu {
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode .d2l-navigation-s-course-menu-divider,
-      html.bs-dark-mode .d2l-navigation-s-notifications-divider {
+      ${root} .d2l-navigation-s-course-menu-divider,
+      ${root} .d2l-navigation-s-notifications-divider {
         background-color: ${c.border} !important;
       }
 
       /* Personal tools dropdown (Profile, Notifications, etc.) */
-      html.bs-dark-mode .d2l-personal-tools-list {
+      ${root} .d2l-personal-tools-list {
         background-color: ${c.surface} !important;
       }
 
-      html.bs-dark-mode .d2l-personal-tools-category-item,
-      html.bs-dark-mode .d2l-personal-tools-separated-item {
+      ${root} .d2l-personal-tools-category-item,
+      ${root} .d2l-personal-tools-separated-item {
         border-color: ${c.border} !important;
       }
 
       /* ── Course banner ───────────────────────────────────────────────────────── */
-      html.bs-dark-mode .d2l-course-banner-container,
-      html.bs-dark-mode .d2l-course-banner {
+      ${root} .d2l-course-banner-container,
+      ${root} .d2l-course-banner {
         background-color: ${c.surface} !important;
       }
 
-      html.bs-dark-mode .d2l-course-banner-container {
+      ${root} .d2l-course-banner-container {
         position: relative !important;
       }
 
-      html.bs-dark-mode .d2l-course-banner-image {
-        filter: brightness(0.7) saturate(0.85) !important;
-      }
-
-      html.bs-dark-mode .d2l-course-banner-container::after {
-        content: '';
-        position: absolute;
-        inset: 0;
-        background: linear-gradient(
-          to bottom,
-          rgba(0, 0, 0, 0.55) 0%,
-          rgba(0, 0, 0, 0.25) 55%,
-          rgba(0, 0, 0, 0.65) 100%
-        );
-        pointer-events: none;
-      }
-
       /* Error fallback SVG placeholder in the banner */
-      html.bs-dark-mode .d2l-course-banner-error-image-container {
+      ${root} .d2l-course-banner-error-image-container {
         background-color: ${c.surface} !important;
         opacity: 0.4;
       }
 
       /* ── Homepage widget tiles ───────────────────────────────────────────────── */
-      html.bs-dark-mode .d2l-widget,
-      html.bs-dark-mode .d2l-tile {
+      ${root} .d2l-widget,
+      ${root} .d2l-tile {
         background-color: ${c.surface} !important;
         border-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode .d2l-widget-header,
-      html.bs-dark-mode .d2l-homepage-header-wrapper,
-      html.bs-dark-mode .d2l-homepage-header-menu-wrapper {
+      ${root} .d2l-widget-header,
+      ${root} .d2l-homepage-header-wrapper,
+      ${root} .d2l-homepage-header-menu-wrapper {
         background-color: ${c.surface} !important;
         border-bottom-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode .d2l-widget-content,
-      html.bs-dark-mode .d2l-widget-content-padding {
+      ${root} .d2l-widget-content,
+      ${root} .d2l-widget-content-padding {
         background-color: ${c.surface} !important;
       }
 
-      html.bs-dark-mode .d2l-homepage-header-wrapper .d2l-heading {
-        color: #e8e8e8 !important;
+      ${root} .d2l-homepage-header-wrapper .d2l-heading {
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode .d2l-widget.d2l-tile {
-        box-shadow: 0 2px 12px rgba(0, 0, 0, 0.5) !important;
+      ${root} .d2l-widget.d2l-tile {
+        box-shadow: 0 2px 12px ${t.shadow} !important;
       }
 
-      html.bs-dark-mode .d2l-widget-header {
+      ${root} .d2l-widget-header {
         background-color: ${c.surface} !important;
         border-bottom: 1px solid ${c.border} !important;
       }
 
-      html.bs-dark-mode .d2l-widget-content,
-      html.bs-dark-mode .d2l-widget-content-padding {
+      ${root} .d2l-widget-content,
+      ${root} .d2l-widget-content-padding {
         background-color: ${c.surface} !important;
       }
 
-      html.bs-dark-mode .d2l-body,
-      html.bs-dark-mode .d2l-typography,
-      html.bs-dark-mode .vui-typography {
-        color: #e8e8e8 !important;
+      ${root} .d2l-body,
+      ${root} .d2l-typography,
+      ${root} .vui-typography {
+        color: ${c.text} !important;
       }
 
       /* ── Links ───────────────────────────────────────────────────────────────── */
-      html.bs-dark-mode a,
-      html.bs-dark-mode .d2l-link {
+      ${root} a,
+      ${root} .d2l-link {
         color: ${c.accent} !important;
       }
 
-      html.bs-dark-mode a:hover,
-      html.bs-dark-mode .d2l-link:hover {
+      ${root} a:hover,
+      ${root} .d2l-link:hover {
         color: var(--bs-accent-hover) !important;
       }
 
       /* ── Menus, dropdowns, dialogs (light DOM shells) ───────────────────────── */
-      html.bs-dark-mode [role="dialog"],
-      html.bs-dark-mode .d2l-dialog,
-      html.bs-dark-mode .d2l-modal,
-      html.bs-dark-mode .d2l-popup,
-      html.bs-dark-mode .d2l-dropdown-content,
-      html.bs-dark-mode .d2l-overlay {
+      ${root} [role="dialog"],
+      ${root} .d2l-dialog,
+      ${root} .d2l-modal,
+      ${root} .d2l-popup,
+      ${root} .d2l-dropdown-content,
+      ${root} .d2l-overlay {
         background-color: ${c.surface} !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
         border-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode [role="dialog"] a,
-      html.bs-dark-mode .d2l-dialog a,
-      html.bs-dark-mode .d2l-popup a {
+      ${root} [role="dialog"] a,
+      ${root} .d2l-dialog a,
+      ${root} .d2l-popup a {
         color: ${c.accent} !important;
       }
 
-      html.bs-dark-mode [role="menu"],
-      html.bs-dark-mode [role="listbox"],
-      html.bs-dark-mode .d2l-menu,
-      html.bs-dark-mode .vui-list {
+      ${root} [role="menu"],
+      ${root} [role="listbox"],
+      ${root} .d2l-menu,
+      ${root} .vui-list {
         background-color: ${c.surface} !important;
         border-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode [role="menuitem"],
-      html.bs-dark-mode [role="option"],
-      html.bs-dark-mode .d2l-menu-item {
-        color: #e8e8e8 !important;
+      ${root} [role="menuitem"],
+      ${root} [role="option"],
+      ${root} .d2l-menu-item {
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode [role="menuitem"]:hover,
-      html.bs-dark-mode [role="option"]:hover,
-      html.bs-dark-mode .d2l-menu-item:hover {
+      ${root} [role="menuitem"]:hover,
+      ${root} [role="option"]:hover,
+      ${root} .d2l-menu-item:hover {
         background-color: var(--bs-surface-2) !important;
       }
 
       /* ── Tables/lists ───────────────────────────────────────────────────────── */
-      html.bs-dark-mode table,
-      html.bs-dark-mode .d2l-table {
+      ${root} table,
+      ${root} .d2l-table {
         background-color: ${c.surface} !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode th,
-      html.bs-dark-mode td {
-        color: #e8e8e8 !important;
+      ${root} th,
+      ${root} td {
+        color: ${c.text} !important;
         border-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode .d2l-table-row,
-      html.bs-dark-mode .d2l-table-cell {
+      ${root} .d2l-table-row,
+      ${root} .d2l-table-cell {
         border-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode tr:hover td,
-      html.bs-dark-mode tr:hover th,
-      html.bs-dark-mode .d2l-table-row:hover {
+      ${root} tr:hover td,
+      ${root} tr:hover th,
+      ${root} .d2l-table-row:hover {
         background-color: var(--bs-surface-2) !important;
       }
 
       /* ── Legacy D2L page UI elements (Assignments, Quizzes, Grades, etc.) ──── */
       /* Main content wrapper on legacy pages */
-      html.bs-dark-mode #d2l_content,
-      html.bs-dark-mode .d2l-page-main-padding {
+      ${root} #d2l_content,
+      ${root} .d2l-page-main-padding {
         background-color: ${c.background} !important;
       }
 
       /* Toolbar / action bars */
-      html.bs-dark-mode .d_t,
-      html.bs-dark-mode .d_tp,
-      html.bs-dark-mode .d2l-toolbar {
+      ${root} .d_t,
+      ${root} .d_tp,
+      ${root} .d2l-toolbar {
         background-color: ${c.surface} !important;
         border-color: ${c.border} !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
       }
 
       /* Generic legacy page buttons */
-      html.bs-dark-mode .d2l-grid-container button,
-      html.bs-dark-mode .d_ic button,
-      html.bs-dark-mode .dco button {
+      ${root} .d2l-grid-container button,
+      ${root} .d_ic button,
+      ${root} .dco button {
         background-color: var(--bs-surface-2) !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
         border-color: ${c.border} !important;
       }
 
       /* ── Inputs in light DOM contexts ───────────────────────────────────────── */
-      html.bs-dark-mode input[type="text"],
-      html.bs-dark-mode input[type="search"],
-      html.bs-dark-mode input[type="email"],
-      html.bs-dark-mode input[type="password"],
-      html.bs-dark-mode textarea,
-      html.bs-dark-mode select {
+      ${root} input[type="text"],
+      ${root} input[type="search"],
+      ${root} input[type="email"],
+      ${root} input[type="password"],
+      ${root} textarea,
+      ${root} select {
         background-color: ${c.surface} !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
         border-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode input::placeholder,
-      html.bs-dark-mode textarea::placeholder {
+      ${root} input::placeholder,
+      ${root} textarea::placeholder {
         color: var(--bs-muted-text-2) !important;
       }
 
       /* ── Events/calendar list ────────────────────────────────────────────────── */
-      html.bs-dark-mode ul.localist-simple-list li {
+      ${root} ul.localist-simple-list li {
         border-top-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode ul.localist-simple-list li a {
-        color: #c8c8c8 !important;
+      ${root} ul.localist-simple-list li a {
+        color: var(--bs-muted-text) !important;
       }
 
-      html.bs-dark-mode ul.localist-simple-list li a .description {
-        color: #c8c8c8 !important;
+      ${root} ul.localist-simple-list li a .description {
+        color: var(--bs-muted-text) !important;
       }
 
-      html.bs-dark-mode ul.localist-simple-list li a:hover .description {
+      ${root} ul.localist-simple-list li a:hover .description {
         color: ${c.accent} !important;
         text-decoration-color: ${c.accent} !important;
       }
 
       /* ── Session expiry message ──────────────────────────────────────────────── */
-      html.bs-dark-mode .d2l-page-message {
+      ${root} .d2l-page-message {
         background-color: ${c.surface} !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
         border-color: ${c.border} !important;
       }
 
       /* ── Pulse app promo banner ──────────────────────────────────────────────── */
-      html.bs-dark-mode .d2l-pulseapp-banner-new {
+      ${root} .d2l-pulseapp-banner-new {
         background-color: ${c.surface} !important;
         border-color: ${c.border} !important;
       }
-      html.bs-dark-mode .d2l-pulseapp-banner-new * {
-        color: #e8e8e8 !important;
+      ${root} .d2l-pulseapp-banner-new * {
+        color: ${c.text} !important;
       }
 
       /* ── ReadSpeaker "Listen" widget ─────────────────────────────────────────── */
-      html.bs-dark-mode .rsbtn,
-      html.bs-dark-mode .rsbtn_tooltoggle,
-      html.bs-dark-mode a.rsbtn_play,
-      html.bs-dark-mode .rsbtn_exp,
-      html.bs-dark-mode .rswidget {
+      ${root} .rsbtn,
+      ${root} .rsbtn_tooltoggle,
+      ${root} a.rsbtn_play,
+      ${root} .rsbtn_exp,
+      ${root} .rswidget {
         background-color: ${c.surface} !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
         border-color: ${c.border} !important;
       }
 
       /* ── Smart-curriculum content viewer (iframe: /d2l/le/lessons/) ─────────── */
       /* This iframe has its own DOM with no shadow roots; target its classes directly */
-      html.bs-dark-mode body,
-      html.bs-dark-mode .navigation-panel,
-      html.bs-dark-mode .navigation-search,
-      html.bs-dark-mode .panel-overlay,
-      html.bs-dark-mode .new-content-alert,
-      html.bs-dark-mode .module-overview {
+      ${root} body,
+      ${root} .navigation-panel,
+      ${root} .navigation-search,
+      ${root} .panel-overlay,
+      ${root} .new-content-alert,
+      ${root} .module-overview {
         background-color: ${c.surface} !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode .unit-box {
+      ${root} .unit-box {
         background-color: ${c.surface} !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
         border-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode .unit-box.selected {
+      ${root} .unit-box.selected {
         background-color: var(--bs-surface-2, ${c.surface}) !important;
         border-left-color: ${c.accent} !important;
       }
 
-      html.bs-dark-mode .unit-box:hover {
+      ${root} .unit-box:hover {
         background-color: var(--bs-surface-2, ${c.surface}) !important;
       }
 
-      html.bs-dark-mode .unit-box *,
-      html.bs-dark-mode .unit-box a {
-        color: #e8e8e8 !important;
+      ${root} .unit-box *,
+      ${root} .unit-box a {
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode h1,
-      html.bs-dark-mode h2,
-      html.bs-dark-mode h3,
-      html.bs-dark-mode h4 {
-        color: #e8e8e8 !important;
+      ${root} h1,
+      ${root} h2,
+      ${root} h3,
+      ${root} h4 {
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode .navigation-search input {
-        color: #e8e8e8 !important;
+      ${root} .navigation-search input {
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode .navigation-search input {
+      ${root} .navigation-search input {
         background-color: ${c.background} !important;
         border-color: ${c.border} !important;
       }
 
-      html.bs-dark-mode .module-description,
-      html.bs-dark-mode .content-container,
-      html.bs-dark-mode .d2l-collapsible-panel {
+      ${root} .module-description,
+      ${root} .content-container,
+      ${root} .d2l-collapsible-panel {
         background-color: ${c.background} !important;
-        color: #e8e8e8 !important;
+        color: ${c.text} !important;
       }
 
-      html.bs-dark-mode .accent.theme-background {
+      ${scheme === 'dark' ? buildImageDimmingCSS(root) : ''}
+    `;
+  }
+
+  // Photos and school banners are bright; tone them down against a dark page.
+  function buildImageDimmingCSS(root) {
+    return `
+      ${root} .d2l-course-banner-image {
+        filter: brightness(0.7) saturate(0.85) !important;
+      }
+
+      ${root} .d2l-course-banner-container::after {
+        content: '';
+        position: absolute;
+        inset: 0;
+        background: linear-gradient(
+          to bottom,
+          rgba(0, 0, 0, 0.55) 0%,
+          rgba(0, 0, 0, 0.25) 55%,
+          rgba(0, 0, 0, 0.65) 100%
+        );
+        pointer-events: none;
+      }
+
+      ${root} .accent.theme-background {
         filter: brightness(0.7) !important;
       }
     `;
   }
 
-  function injectDarkModeStyles(colors) {
-    let style = document.getElementById('bs-dark-mode-style');
+  // The theme CSS last injected per scheme, for cacheEarlyPaint().
+  const injectedThemes = {};
+
+  // early.js may already have put a style with this id under <html>; it's
+  // updated in place.
+  function injectThemeStyles(colors, scheme) {
+    const id = `bs-${scheme}-mode-style`;
+    let style = document.getElementById(id);
     if (!style) {
       style = document.createElement('style');
-      style.id = 'bs-dark-mode-style';
+      style.id = id;
       document.head.appendChild(style);
     }
-    style.textContent = buildDarkModeCSS(colors);
+    const safe = sanitizeColors(colors);
+    const css = buildThemeCSS(safe, scheme);
+    style.textContent = css;
+    injectedThemes[scheme] = { css, background: { ...PALETTES[scheme].defaults, ...safe }.background };
+  }
+
+  function removeThemeStyles() {
+    for (const id of [...Object.keys(PALETTES).map((scheme) => `bs-${scheme}-mode-style`),
+      BetterSpaceEarlyPaint.PREPAINT_ID]) {
+      const style = document.getElementById(id);
+      if (style) style.remove();
+    }
+  }
+
+  // Hands early.js what it needs to paint the next page load on this site
+  // before this script runs.
+  // Page scripts can read the cache, so it only gets this site's patterns.
+  function cachedActivation() {
+    return BetterSpaceActivation.activationForSite(activation, location.href);
+  }
+
+  function cacheEarlyPaint() {
+    BetterSpaceEarlyPaint.updateCache({ activation: cachedActivation(), appearance, themes: injectedThemes });
   }
 
-  function applyDarkMode(enabled) {
-    isDarkMode = enabled;
-    document.documentElement.classList.toggle('bs-dark-mode', enabled);
-    if (!isFrame) applyHeaderLogoSwap(enabled);
+  // scheme: 'dark', 'light' or null (Brightspace's own look). The shadow-root
+  // sheets read the same tokens, so they serve both palettes.
+  function applyScheme(scheme) {
+    activeScheme = scheme;
+    // A viewer frame is inverted instead of themed; see Embedded viewers.
+    const themed = frameViewer ? null : scheme;
+    document.documentElement.classList.toggle('bs-dark-mode', themed === 'dark');
+    document.documentElement.classList.toggle('bs-light-mode', themed === 'light');
+    applyViewerDarkening();
+    if (frameViewer) return;
+    if (!isFrame) applyHeaderLogoSwap(scheme === 'dark');
     const elements = isFrame ? [] : findCourseElements();
-    if (enabled) {
+    if (scheme) {
       applyCardEnhancements(elements);
       applyAllCardDarkMode();
       applyPopoverDarkMode();
@@ -903,6 +2091,30 @@
     }
   }
 
+  // ── Automatic dark mode ──────────────────────────────────────────────────────
+  // Each frame works out its own state from the manual toggle, the OS color
+  // scheme or the schedule, so nothing has to be pushed to it when the clock
+  // crosses a boundary or the OS theme flips.
+
+  const systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+
+  function refreshScheme() {
+    if (!active) return;
+    const schedule = BetterSpaceTheme.normalizeSchedule(appearance.schedule);
+    clearTimeout(scheduleTimer);
+    if (schedule.mode === 'schedule') {
+      scheduleTimer = setTimeout(refreshScheme, BetterSpaceTheme.msUntilNextBoundary(schedule));
+    }
+    const scheme = BetterSpaceTheme.resolveScheme({ ...appearance, schedule }, systemDarkQuery.matches);
+    if (scheme !== activeScheme) applyScheme(scheme);
+  }
+
+  systemDarkQuery.addEventListener('change', refreshScheme);
+  // Timers don't run while the machine sleeps; catch up when the tab is looked at again.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') refreshScheme();
+  });
+
   function applyHeaderLogoSwap(enabled) {
     const logoEls = document.querySelectorAll('d2l-labs-navigation-link-image.d2l-navigation-s-logo');
     for (const el of logoEls) {
@@ -919,89 +2131,397 @@
     }
   }
 
+  // ── Embedded viewers ─────────────────────────────────────────────────────────
+  //
+  // Documents, HTML topics and the text editor are darkened by inversion rather
+  // than themed (see viewers.js). A viewer frame this script runs in inverts
+  // itself and shows a button to switch that viewer back to true colors; the
+  // ones it can't run in are darkened from the page embedding them.
+
+  const VIEWER_STYLE_ID = 'bs-viewer-style';
+
+  let viewerDarkening = BetterSpaceViewers.DEFAULT_VIEWER_DARKENING;
+  // This frame's viewer id, or null on a Brightspace page. Set by start().
+  let frameViewer = null;
+  let viewerToggle = null; // { host, button }
+  const originalEmbedFilter = new WeakMap();
+  const watchedEmbeds = new WeakSet();
+
+  const VIEWER_TOGGLE_CSS = `
+    :host { position: fixed; right: 12px; bottom: 12px; z-index: 2147483647; }
+    button {
+      padding: 4px 10px;
+      border: 1px solid rgba(255, 255, 255, 0.25);
+      border-radius: 999px;
+      background: rgba(32, 33, 34, 0.85);
+      color: #f1f1f1;
+      font: 12px/1.4 system-ui, sans-serif;
+      cursor: pointer;
+      opacity: 0.6;
+    }
+    button:hover, button:focus-visible { opacity: 1; }
+  `;
+
+  function viewerDarkened(id) {
+    return activeScheme === 'dark' && viewerDarkening[id] !== false;
+  }
+
+  // `doc` is this frame's document or a same-origin editor iframe's.
+  function setDocumentInverted(doc, inverted) {
+    let style = doc.getElementById(VIEWER_STYLE_ID);
+    if (inverted && !style) {
+      style = doc.createElement('style');
+      style.id = VIEWER_STYLE_ID;
+      style.textContent = BetterSpaceViewers.buildInversionCSS();
+      (doc.head || doc.documentElement).appendChild(style);
+    } else if (!inverted && style) {
+      style.remove();
+    }
+    doc.documentElement.classList.toggle('bs-viewer-dark', inverted);
+  }
+
+  function setElementInverted(el, inverted) {
+    if (inverted) {
+      if (!originalEmbedFilter.has(el)) originalEmbedFilter.set(el, el.style.getPropertyValue('filter'));
+      el.style.setProperty('filter', BetterSpaceViewers.INVERT_FILTER, 'important');
+    } else if (originalEmbedFilter.has(el)) {
+      el.style.setProperty('filter', originalEmbedFilter.get(el));
+      originalEmbedFilter.delete(el);
+    }
+  }
+
+  function buildViewerToggle() {
+    const host = document.createElement('div');
+    host.id = 'bs-viewer-toggle';
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${VIEWER_TOGGLE_CSS}</style><button type="button"></button>`;
+    const button = root.querySelector('button');
+    button.addEventListener('click', () => {
+      BetterSpaceViewers.saveViewerDarkening({ ...viewerDarkening, [frameViewer]: !viewerDarkened(frameViewer) });
+    });
+    return { host, button };
+  }
+
+  // Shown in dark mode only. It sits under <html> rather than <body> so the
+  // inversion doesn't reach it.
+  function renderViewerToggle() {
+    if (activeScheme !== 'dark') {
+      if (viewerToggle) viewerToggle.host.remove();
+      return;
+    }
+    viewerToggle = viewerToggle || buildViewerToggle();
+    if (!viewerToggle.host.isConnected) document.documentElement.appendChild(viewerToggle.host);
+    const darkened = viewerDarkened(frameViewer);
+    viewerToggle.button.textContent = darkened ? 'True colors' : 'Darken';
+    viewerToggle.button.title = darkened
+      ? `Show ${BetterSpaceViewers.VIEWERS[frameViewer].label.toLowerCase()} in their original colors`
+      : `Darken ${BetterSpaceViewers.VIEWERS[frameViewer].label.toLowerCase()} in dark mode`;
+  }
+
+  // The editor rewrites its iframe's document when it loads, dropping our
+  // style, so that's re-applied on every load.
+  function applyEmbeddedViewer(el) {
+    const id = BetterSpaceViewers.embedViewerOf(el);
+    if (BetterSpaceViewers.VIEWERS[id].embed.reach === 'element') {
+      setElementInverted(el, viewerDarkened(id));
+      return;
+    }
+    if (!watchedEmbeds.has(el)) {
+      watchedEmbeds.add(el);
+      el.addEventListener('load', () => {
+        if (active) applyEmbeddedViewer(el);
+      });
+    }
+    const doc = el.contentDocument;
+    if (doc && doc.documentElement) setDocumentInverted(doc, viewerDarkened(id));
+  }
+
+  // Embeds inside a viewer frame are inverted along with it.
+  function applyViewerDarkening() {
+    if (frameViewer) {
+      setDocumentInverted(document, viewerDarkened(frameViewer));
+      renderViewerToggle();
+    } else {
+      components.get('viewerEmbeds').forEach(applyEmbeddedViewer);
+    }
+  }
+
   // ── Messages ─────────────────────────────────────────────────────────────────
+  //
+  // Settings reach tabs through storage (below), so the only messages left are
+  // the popup asking which courses this page shows and asking for the card
+  // editor; see messages.js for who may send them.
+
+  const { isFromExtension, isValidMessage } = BetterSpaceMessages;
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (isFrame || !isFromExtension(sender) || !isValidMessage(message)) return;
+
+    if (message.type === 'GET_COURSES') {
+      // A tab that was just switched on answers once it has its cards. The
+      // popup is always answered, so it never waits on a reply that won't come.
+      startup
+        .then(() => {
+          sendResponse({ host, paused: !active, courses: active ? buildCourseList() : [] });
+        })
+        .catch((err) => {
+          console.error(err);
+          sendResponse({ host, error: err.message });
+        });
+      return true;
+    }
 
-  chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-    if (!isFrame) {
-      if (message.type === 'GET_COURSES') {
-        sendResponse({ courses: buildCourseList() });
-      }
-      if (message.type === 'APPLY_NAMES') {
-        savedNames = message.names;
-        applyAllNames();
-        sendResponse({ ok: true });
+    if (message.type === 'OPEN_CARD_EDITOR') {
+      const card = findCourseElements().find(({ id }) => id === message.courseId);
+      if (active && card) openCardEditor(card.id, card.enrollCard.dataset.bsOriginal || '');
+      sendResponse({ opened: !!(active && card) });
+    }
+  });
+
+  // ── Storage changes ──────────────────────────────────────────────────────────
+  //
+  // Every setting applies live. The popup, options page, service worker (sync,
+  // shortcuts) and the card editor only write storage; each tab and frame
+  // picks the change up here. New values take the same path as values read at
+  // load, so colors, image URLs and schedules are sanitized where they're used.
+
+  function onCourseStorageChanged(changes) {
+    const imagePrefix = `${BetterSpaceStorage.IMAGE_PREFIX}${host}/`;
+    const imagesChanged = Object.keys(changes).some((key) => key.startsWith(imagePrefix));
+
+    if (changes.institutions) {
+      const data = (changes.institutions.newValue || {})[host] || {};
+      courses = data.courses || {};
+      courseOrder = data.courseOrder || [];
+    }
+    if (changes.renameRules) renameRules = changes.renameRules.newValue || [];
+
+    if (changes.institutions || imagesChanged) {
+      // Names still apply if the images can't be read; those cards go without.
+      loadUploadedImages().catch(console.error).then(() => applyAllNames());
+    } else if (changes.renameRules) {
+      applyAllNames();
+    }
+
+    if (changes.dueDateSettings) {
+      dueDateSettings = {
+        ...BetterSpaceValence.DEFAULT_DUE_DATE_SETTINGS,
+        ...(changes.dueDateSettings.newValue || {}),
+      };
+      if (duePanel && duePanel.host.isConnected) {
+        if (dueDateSettings.enabled) refreshDueDates(false);
+        else duePanel.host.remove();
+      } else {
+        applyDueDatesPanel();
       }
     }
-    if (message.type === 'SET_DARK_MODE') {
-      applyDarkMode(message.enabled);
-      sendResponse({ ok: true });
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local') return;
+    if (changes.activation) onActivationChanged(changes.activation.newValue);
+    if (!active) return;
+
+    if (changes.themeColors) injectThemeStyles(changes.themeColors.newValue || {}, 'dark');
+    if (changes.lightThemeColors) injectThemeStyles(changes.lightThemeColors.newValue || {}, 'light');
+
+    if (changes.darkMode || changes.lightMode || changes.darkModeSchedule) {
+      if (changes.darkMode) appearance.darkMode = !!changes.darkMode.newValue;
+      if (changes.lightMode) appearance.lightMode = !!changes.lightMode.newValue;
+      if (changes.darkModeSchedule) appearance.schedule = changes.darkModeSchedule.newValue;
+      refreshScheme();
     }
-    if (message.type === 'APPLY_THEME') {
-      injectDarkModeStyles(message.colors);
-      sendResponse({ ok: true });
+
+    if (changes.themeColors || changes.lightThemeColors || changes.darkMode || changes.lightMode ||
+        changes.darkModeSchedule) {
+      cacheEarlyPaint();
     }
-    if (!isFrame && message.type === 'APPLY_IMAGES') {
-      savedImages = message.images;
-      applyCardImages(findCourseElements());
-      sendResponse({ ok: true });
+
+    if (changes.viewerDarkening) {
+      viewerDarkening = {
+        ...BetterSpaceViewers.DEFAULT_VIEWER_DARKENING,
+        ...(changes.viewerDarkening.newValue || {}),
+      };
+      applyViewerDarkening();
     }
+
+    if (!isFrame) onCourseStorageChanged(changes);
   });
 
-  // ── Recursive MutationObserver ───────────────────────────────────────────────
-  // Watches all shadow roots so we catch cards that load lazily (e.g. tab switches).
-  // The equality check in applyAllNames() prevents infinite observer loops.
+  // ── Component registry ───────────────────────────────────────────────────────
+  //
+  // Every component BetterSpace styles or renames, kept current from the
+  // MutationObservers (see shadow-dom.js) so a mutation batch only indexes the
+  // nodes it added. What each batch touched is collected into pendingChanges
+  // and debounced into applyAllNames(), whose equality checks keep our own
+  // writes from looping. Text and name attributes are watched too, since Lit
+  // re-renders a name by changing them in place.
+
+  const TRACKED_COMPONENTS = {
+    enrollmentCards: 'd2l-enrollment-card',
+    cards: 'd2l-card',
+    inputs: INPUT_TAGS,
+    popovers: POPOVER_TAGS,
+    nameSurfaces: NAME_SURFACES,
+    courseLinks: NAVBAR_COURSE_LINK,
+    myCourses: 'd2l-my-courses',
+    viewerEmbeds: BetterSpaceViewers.EMBED_SELECTOR,
+  };
+
+  // Shadow-root sheets a component gets as soon as it's found while a scheme
+  // is active; applyScheme() covers the ones already on the page.
+  const SCHEME_SHEETS = {
+    cards: getBsGenericCardSheet,
+    inputs: getBsInputSheet,
+    popovers: getBsPopoverSheet,
+  };
+
+  // { roots, targets, removed }: subtrees added, text nodes and elements
+  // changed in place, and whether anything was removed. A full pass clears it.
+  let pendingChanges = null;
+
+  function pendingBatch() {
+    pendingChanges = pendingChanges || { roots: new Set(), targets: new Set(), removed: false };
+    return pendingChanges;
+  }
 
   function scheduleApply() {
     if (debounceTimer) clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(applyAllNames, 150);
-  }
-
-  function observeRoot(root) {
-    if (observedRoots.has(root)) return;
-    observedRoots.add(root);
-    new MutationObserver((mutations) => {
-      for (const mutation of mutations) {
-        for (const node of mutation.addedNodes) {
-          if (node.nodeType !== Node.ELEMENT_NODE) continue;
-          if (node.shadowRoot) {
-            observeRoot(node.shadowRoot);
-          }
-          // Lit components attach their shadowRoot asynchronously. Wait for
-          // updateComplete so we inject exactly when the shadow root is ready.
-          if (node.tagName && node.tagName.includes('-')) {
-            waitForShadow(node).then((sr) => {
-              if (!sr) return;
-              observeRoot(sr);
-              if (isDarkMode) {
-                applyAllCardDarkMode();
-                applyPopoverDarkMode();
-                applyAllInputDarkMode();
-              }
-              applyCardImages(findCourseElements());
-            });
-          }
+    debounceTimer = setTimeout(() => {
+      const changes = pendingChanges;
+      pendingChanges = null;
+      if (changes) applyAllNames(changes);
+    }, 150);
+  }
+
+  const components = BetterSpaceShadowDOM.createRegistry(TRACKED_COMPONENTS, {
+    onTracked(group, el) {
+      if (frameViewer) return;
+      if (activeScheme && SCHEME_SHEETS[group]) injectSheet(el, SCHEME_SHEETS[group]());
+      if (group === 'viewerEmbeds') applyEmbeddedViewer(el);
+      // An added subtree can hold cards and surfaces without being on one.
+      if (!isFrame && (group === 'enrollmentCards' || group === 'nameSurfaces')) pendingBatch().roots.add(el);
+    },
+    // A card's image container only exists once its shadow root renders; set
+    // the image right away rather than after the debounce.
+    onShadowReady(el) {
+      if (isFrame) return;
+      applyCardImages(findCourseElements());
+      // No mutation batch may follow, so its names are queued here.
+      pendingBatch().roots.add(el);
+      scheduleApply();
+    },
+    onMutations(records) {
+      if (isFrame) return;
+      const batch = pendingBatch();
+      for (const record of records) {
+        if (record.type === 'childList') {
+          record.addedNodes.forEach((node) => batch.roots.add(node));
+          if (record.removedNodes.length) batch.removed = true;
+        } else {
+          batch.targets.add(record.target);
         }
       }
       scheduleApply();
-    }).observe(root, { childList: true, subtree: true });
-    root.querySelectorAll('*').forEach((el) => {
-      if (el.shadowRoot) observeRoot(el.shadowRoot);
-    });
+    },
+    watch: isFrame ? undefined : { characterData: true, attributeFilter: NAME_ATTRIBUTES },
+  });
+
+  // ── On/off ───────────────────────────────────────────────────────────────────
+  //
+  // BetterSpace can be switched off everywhere or paused on matching pages (see
+  // activation.js). stop() undoes everything start() and the appliers did, so
+  // the page is left exactly as Brightspace rendered it; only the listeners
+  // stay, and they ignore everything but `activation` until start() runs again.
+
+  let activation = BetterSpaceActivation.DEFAULT_ACTIVATION;
+
+  async function start() {
+    active = true;
+    const stored = await chrome.storage.local.get([
+      'darkMode', 'lightMode', 'darkModeSchedule', 'themeColors', 'lightThemeColors', 'viewerDarkening',
+    ]);
+    if (!active) return;
+    injectThemeStyles(stored.themeColors || {}, 'dark');
+    injectThemeStyles(stored.lightThemeColors || {}, 'light');
+    appearance = {
+      darkMode: !!stored.darkMode,
+      lightMode: !!stored.lightMode,
+      schedule: stored.darkModeSchedule,
+    };
+    viewerDarkening = { ...BetterSpaceViewers.DEFAULT_VIEWER_DARKENING, ...(stored.viewerDarkening || {}) };
+    frameViewer = BetterSpaceViewers.detectFrameViewer(location, document);
+    cacheEarlyPaint();
+    components.track(document.body);
+    // early.js may have set a scheme class already; make refreshScheme()
+    // settle it either way.
+    activeScheme = undefined;
+    refreshScheme();
+    const prepaint = document.getElementById(BetterSpaceEarlyPaint.PREPAINT_ID);
+    if (prepaint) prepaint.remove();
+
+    if (!isFrame) {
+      await loadCourseData();
+      if (!active) return;
+      await recordVisit();
+      // Brightspace retitles the page on some in-page navigation.
+      components.track(document.head);
+      applyAllNames();
+    }
+  }
+
+  function stop() {
+    active = false;
+    clearTimeout(debounceTimer);
+    clearTimeout(scheduleTimer);
+    pendingChanges = null;
+
+    // Needs the registry, so before it's disconnected.
+    applyScheme(null);
+    if (!isFrame) {
+      const elements = findCourseElements();
+      restoreCardNames(elements);
+      removeCourseColors(elements);
+      removeCardImages(elements);
+      removeCardLayout(elements);
+      removeCardEditButtons(elements);
+      restorePageNames();
+      if (duePanel) duePanel.host.remove();
+      for (const id of ['bs-card-editor', 'bs-quick-switcher']) {
+        const container = document.getElementById(id);
+        if (container) container.remove();
+      }
+    }
+    components.disconnect();
+    removeThemeStyles();
+
+    for (const { blobUrl } of Object.values(uploadedImages)) URL.revokeObjectURL(blobUrl);
+    uploadedImages = {};
+  }
+
+  function onActivationChanged(value) {
+    activation = { ...BetterSpaceActivation.DEFAULT_ACTIVATION, ...(value || {}) };
+    BetterSpaceEarlyPaint.updateCache({ activation: cachedActivation() });
+    const shouldRun = BetterSpaceActivation.isActive(activation, BetterSpaceActivation.pageUrls());
+    if (shouldRun && !active) startup = start().catch(console.error);
+    else if (!shouldRun && active) stop();
   }
 
   // ── Init ─────────────────────────────────────────────────────────────────────
 
   async function init() {
-    const stored = await chrome.storage.local.get(['darkMode', 'themeColors']);
-    injectDarkModeStyles(stored.themeColors || {});
-    applyDarkMode(!!stored.darkMode);
-
-    if (!isFrame) {
-      await loadSavedNames();
-      observeRoot(document.body);
-      applyAllNames();
+    await BetterSpaceStorage.ready();
+    wireSwitcherShortcut();
+    activation = await BetterSpaceActivation.getActivation();
+    if (BetterSpaceActivation.isActive(activation, BetterSpaceActivation.pageUrls())) {
+      startup = start().catch(console.error);
+      await startup;
+    } else {
+      // early.js painted from a cache that predates pausing this page.
+      BetterSpaceEarlyPaint.updateCache({ activation: cachedActivation() });
+      stop();
     }
   }
 
-  init();
+  init().catch(console.error);
 })();
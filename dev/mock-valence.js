@@ -0,0 +1,111 @@
+// Mock Brightspace Valence API for trying the due dates panel and calendar
+// export without a real course load.
+//
+//   node dev/mock-valence.js [port]      (default port 8787)
+//
+// Then set "API base URL" under Due Dates on the options page to
+// http://localhost:8787 and open any Brightspace homepage. Due dates are
+// generated relative to the time the server started, so there is always
+// something overdue, due today and due later on.
+
+'use strict';
+
+const http = require('http');
+
+const PORT = Number(process.argv[2]) || 8787;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const start = Date.now();
+const at = (offset) => new Date(start + offset).toISOString();
+
+const COURSES = [
+  { Id: 6606, Name: '2025FA-BIOL-1406-05 General Biology I (Lecture)', Code: 'BIOL-1406-05' },
+  { Id: 6607, Name: '2025FA-BIOL-1106-12 General Biology I (Lab)', Code: 'BIOL-1106-12' },
+  { Id: 7120, Name: '2025FA-MATH-2414-01 Calculus II', Code: 'MATH-2414-01' },
+  { Id: 7301, Name: '2025FA-ENGL-1302-08 Composition II', Code: 'ENGL-1302-08' },
+];
+
+const FOLDERS = {
+  6606: [
+    { Id: 101, Name: 'Lab safety acknowledgement', DueDate: at(-2 * DAY), IsHidden: false },
+    { Id: 102, Name: 'Cell structure worksheet', DueDate: at(5 * HOUR), IsHidden: false },
+    { Id: 103, Name: 'Draft (hidden)', DueDate: at(DAY), IsHidden: true },
+  ],
+  6607: [
+    { Id: 201, Name: 'Microscopy lab report', DueDate: at(3 * DAY), IsHidden: false },
+  ],
+  7120: [
+    { Id: 301, Name: 'Problem set 6', DueDate: at(DAY + 2 * HOUR), IsHidden: false },
+    { Id: 302, Name: 'Problem set 7', DueDate: at(8 * DAY), IsHidden: false },
+    { Id: 303, Name: 'No due date', DueDate: null, IsHidden: false },
+  ],
+  7301: [
+    { Id: 401, Name: 'Argument essay: final draft', DueDate: at(6 * DAY), IsHidden: false },
+  ],
+};
+
+const QUIZZES = {
+  6606: [{ QuizId: 11, Name: 'Chapter 4 quiz', DueDate: at(2 * DAY), IsActive: true }],
+  7120: [{ QuizId: 31, Name: 'Integration techniques', DueDate: at(-1 * DAY), IsActive: true }],
+};
+
+const EVENTS = [
+  { CalendarEventId: 9001, OrgUnitId: 7120, OrgUnitName: COURSES[2].Name, Title: 'Midterm exam',
+    StartDateTime: at(4 * DAY), EndDateTime: at(4 * DAY + 2 * HOUR), AssociatedEntity: null },
+  // Mirrors a dropbox due date; the extension should drop it.
+  { CalendarEventId: 9002, OrgUnitId: 6606, OrgUnitName: COURSES[0].Name, Title: 'Cell structure worksheet - Due',
+    StartDateTime: at(5 * HOUR), EndDateTime: at(5 * HOUR),
+    AssociatedEntity: { AssociatedEntityType: 'D2L.LE.Dropbox.Dropbox', AssociatedEntityId: 102 } },
+];
+
+function route(url) {
+  let m;
+  if (/^\/d2l\/api\/lp\/[\d.]+\/enrollments\/myenrollments\/$/.test(url.pathname)) {
+    return {
+      PagingInfo: { Bookmark: '', HasMoreItems: false },
+      Items: COURSES.map((OrgUnit) => ({
+        OrgUnit: { ...OrgUnit, Type: { Id: 3, Code: 'Course Offering', Name: 'Course Offering' } },
+        Access: { IsActive: true, CanAccess: true },
+      })),
+    };
+  }
+  if ((m = url.pathname.match(/^\/d2l\/api\/le\/[\d.]+\/(\d+)\/dropbox\/folders\/$/))) {
+    return FOLDERS[m[1]] || [];
+  }
+  if ((m = url.pathname.match(/^\/d2l\/api\/le\/[\d.]+\/(\d+)\/quizzes\/$/))) {
+    // Quizzes are turned off in the Composition course.
+    if (m[1] === '7301') return null;
+    return { Objects: QUIZZES[m[1]] || [], Next: null };
+  }
+  if (/^\/d2l\/api\/le\/[\d.]+\/calendar\/events\/myEvents\/$/.test(url.pathname)) {
+    const ids = (url.searchParams.get('orgUnitIdsCSV') || '').split(',');
+    return { Objects: EVENTS.filter((e) => ids.includes(String(e.OrgUnitId))), Next: null };
+  }
+  return undefined;
+}
+
+http.createServer((req, res) => {
+  // Content scripts fetch with the Brightspace page's origin and credentials,
+  // and Chrome preflights requests from public sites to localhost.
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Headers', 'Accept');
+  res.setHeader('Access-Control-Allow-Private-Network', 'true');
+  res.setHeader('Vary', 'Origin');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204).end();
+    return;
+  }
+
+  const body = route(new URL(req.url, `http://localhost:${PORT}`));
+  if (body === undefined) {
+    res.writeHead(404).end();
+  } else if (body === null) {
+    res.writeHead(403).end();
+  } else {
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+  }
+  console.log(`${req.method} ${req.url} → ${res.statusCode}`);
+}).listen(PORT, () => {
+  console.log(`Mock Valence API on http://localhost:${PORT}`);
+});
@@ -0,0 +1,113 @@
+// Brightspace domain configuration — loaded by the popup, options page and
+// service worker.
+//
+// Built-in domains are declared in manifest.json. Schools that run Brightspace
+// on their own domain are added by the user from the options page: that grants
+// an optional host permission and registers the content scripts for the origin
+// at runtime via chrome.scripting.
+//
+// Web-accessible resources can't be granted per origin at runtime, so the
+// header logo is exposed to every site, but only under use_dynamic_url there.
+// Its URL changes every session, so a custom-domain page can use it but no
+// site can probe for it to detect the extension.
+
+(function (global) {
+  'use strict';
+
+  // Keep in sync with content_scripts in manifest.json. Content scripts share
+  // one world per frame, so content.js uses the modules early.js loaded.
+  const EARLY_SCRIPT_FILES = ['theme.js', 'activation.js', 'early.js'];
+  const CONTENT_SCRIPT_FILES = ['storage.js', 'rename-rules.js', 'valence.js', 'messages.js', 'shadow-dom.js', 'viewers.js', 'content.js'];
+  const SCRIPT_ID_PREFIX = 'bs-custom-';
+
+  const DOMAIN_RE = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+  // Accepts "learn.myschool.edu", "https://learn.myschool.edu/d2l/home", etc.
+  // Returns the bare hostname, or null if it isn't one.
+  function normalizeDomain(input) {
+    let value = String(input || '').trim().toLowerCase();
+    if (!value) return null;
+    if (!/^[a-z]+:\/\//.test(value)) value = `https://${value}`;
+    let hostname;
+    try {
+      hostname = new URL(value).hostname;
+    } catch {
+      return null;
+    }
+    return DOMAIN_RE.test(hostname) ? hostname : null;
+  }
+
+  function patternFor(domain) {
+    return `*://${domain}/*`;
+  }
+
+  function isBuiltIn(domain) {
+    return domain.endsWith('.brightspace.com') || domain === 'brightspace.utrgv.edu';
+  }
+
+  async function getCustomDomains() {
+    const { customDomains } = await chrome.storage.local.get('customDomains');
+    return customDomains || [];
+  }
+
+  // ── Dynamic content scripts ──────────────────────────────────────────────────
+
+  // Brings chrome.scripting registrations in line with the configured domains.
+  // Domains whose permission was revoked (e.g. from chrome://extensions) are
+  // skipped rather than failing the whole batch.
+  async function syncContentScripts() {
+    const domains = await getCustomDomains();
+    const registered = await chrome.scripting.getRegisteredContentScripts();
+    const ours = registered.filter((s) => s.id.startsWith(SCRIPT_ID_PREFIX)).map((s) => s.id);
+    if (ours.length) await chrome.scripting.unregisterContentScripts({ ids: ours });
+
+    const scripts = [];
+    for (const domain of domains) {
+      const granted = await chrome.permissions.contains({ origins: [patternFor(domain)] });
+      if (!granted) continue;
+      scripts.push({
+        id: `${SCRIPT_ID_PREFIX}${domain}/early`,
+        matches: [patternFor(domain)],
+        js: EARLY_SCRIPT_FILES,
+        runAt: 'document_start',
+        allFrames: true,
+      }, {
+        id: SCRIPT_ID_PREFIX + domain,
+        matches: [patternFor(domain)],
+        js: CONTENT_SCRIPT_FILES,
+        runAt: 'document_idle',
+        allFrames: true,
+      });
+    }
+    if (scripts.length) await chrome.scripting.registerContentScripts(scripts);
+  }
+
+  // Must be called from a user gesture (permission prompt).
+  async function addCustomDomain(domain) {
+    const granted = await chrome.permissions.request({ origins: [patternFor(domain)] });
+    if (!granted) return false;
+
+    const domains = await getCustomDomains();
+    if (!domains.includes(domain)) {
+      await chrome.storage.local.set({ customDomains: [...domains, domain].sort() });
+    }
+    await syncContentScripts();
+    return true;
+  }
+
+  async function removeCustomDomain(domain) {
+    const domains = await getCustomDomains();
+    await chrome.storage.local.set({ customDomains: domains.filter((d) => d !== domain) });
+    await syncContentScripts();
+    await chrome.permissions.remove({ origins: [patternFor(domain)] }).catch(() => {});
+  }
+
+  global.BetterSpaceDomains = {
+    normalizeDomain,
+    isBuiltIn,
+    getCustomDomains,
+    syncContentScripts,
+    addCustomDomain,
+    removeCustomDomain,
+  };
+})(globalThis);
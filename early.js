@@ -0,0 +1,85 @@
+// Early paint — runs at document_start in every frame, after theme.js and
+// activation.js and before Brightspace has rendered anything.
+//
+// content.js runs at document_idle and has to wait for chrome.storage before
+// it can theme the page, so on its own every navigation flashes white first.
+// chrome.storage can't be read synchronously, so content.js also keeps a copy
+// of what this script needs in the site's localStorage (see updateCache).
+// This script applies it straight away:
+//   - a tiny pre-paint rule giving the page the theme's background and
+//     color-scheme, so even the first frame isn't white;
+//   - the last theme CSS, under the same ids injectThemeStyles() uses, so
+//     content.js simply updates it in place;
+//   - the bs-dark-mode / bs-light-mode class on <html>.
+// content.js removes the pre-paint rule once it has taken over.
+//
+// The cache is visible to the site's own scripts. It only holds theme colors,
+// the dark mode settings, the master switch and the paused-site patterns for
+// this site (see activationForSite), never course data or other sites.
+//
+// Cache (localStorage, per site origin):
+//   betterspace:early: { activation: { enabled, pausedSites }, appearance,
+//                        themes: { [scheme]: { css, background } } }
+
+(function (global) {
+  'use strict';
+
+  const CACHE_KEY = 'betterspace:early';
+  const PREPAINT_ID = 'bs-prepaint-style';
+
+  // Storage is off-limits in sandboxed and opaque-origin frames.
+  function readCache() {
+    try {
+      return JSON.parse(localStorage.getItem(CACHE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  // Merges `patch` into the cache; writes only when something changed.
+  function updateCache(patch) {
+    const cache = readCache();
+    const next = JSON.stringify({ ...cache, ...patch });
+    if (next === JSON.stringify(cache)) return;
+    try {
+      localStorage.setItem(CACHE_KEY, next);
+    } catch { /* no storage or over quota — this page just paints late */ }
+  }
+
+  function appendStyle(id, css) {
+    if (document.getElementById(id)) return;
+    const style = document.createElement('style');
+    style.id = id;
+    style.textContent = css;
+    // <head> doesn't exist yet; Chrome keeps a <style> under <html> working.
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  function paint() {
+    const { activation, appearance, themes = {} } = readCache();
+    if (!activation || !appearance) return;
+    if (!BetterSpaceActivation.isActive(activation, BetterSpaceActivation.pageUrls())) return;
+
+    const schedule = BetterSpaceTheme.normalizeSchedule(appearance.schedule);
+    const systemDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const scheme = BetterSpaceTheme.resolveScheme({ ...appearance, schedule }, systemDark);
+    if (!scheme) return;
+
+    const theme = themes[scheme] || {};
+    const color = BetterSpaceTheme.normalizeHex(theme.background);
+    appendStyle(PREPAINT_ID,
+      `html.bs-${scheme}-mode { color-scheme: ${scheme};${color ? ` background-color: ${color};` : ''} }`);
+    for (const name of Object.keys(BetterSpaceTheme.PALETTES)) {
+      const css = themes[name] && themes[name].css;
+      if (typeof css === 'string') appendStyle(`bs-${name}-mode-style`, css);
+    }
+    document.documentElement.classList.add(`bs-${scheme}-mode`);
+  }
+
+  paint();
+
+  global.BetterSpaceEarlyPaint = {
+    PREPAINT_ID,
+    updateCache,
+  };
+})(globalThis);
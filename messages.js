@@ -0,0 +1,38 @@
+// Message validation — loaded by the content script and the tests in test/.
+//
+// Settings reach tabs through storage, so a tab accepts only two messages from
+// the popup: which courses the page shows, and opening the card editor for one
+// of them (to upload an image). Only the extension's own pages may send them,
+// and messages are checked against a schema before use.
+
+(function (global) {
+  'use strict';
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  const MESSAGE_SCHEMAS = {
+    GET_COURSES: () => true,
+    OPEN_CARD_EDITOR: (message) => typeof message.courseId === 'string' && message.courseId !== '',
+  };
+
+  // Extension pages and the service worker; never a web page, a content
+  // script relaying one, or another extension.
+  function isFromExtension(sender) {
+    return !!sender && sender.id === chrome.runtime.id &&
+      typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(''));
+  }
+
+  function isValidMessage(message) {
+    return isPlainObject(message) && typeof message.type === 'string' &&
+      Object.prototype.hasOwnProperty.call(MESSAGE_SCHEMAS, message.type) &&
+      MESSAGE_SCHEMAS[message.type](message);
+  }
+
+  global.BetterSpaceMessages = {
+    MESSAGE_SCHEMAS,
+    isFromExtension,
+    isValidMessage,
+  };
+})(globalThis);
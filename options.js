@@ -1,15 +1,18 @@
 (function () {
   'use strict';
 
-  const DEFAULT_THEME = {
-    background: '#121212',
-    surface:    '#1e1e1e',
-    border:     '#2d2d2d',
-    accent:     '#4d9de0',
-  };
+  const {
+    DEFAULT_THEME, PALETTES, THEME_GROUPS: GROUPS, TEXT_GROUPS, AA_CONTRAST, HEX_RE, normalizeHex,
+  } = BetterSpaceTheme;
+
+  // The palette the color rows are editing, and its last saved colors; the
+  // Save button enables only when the inputs differ.
+  let editingPalette = 'dark';
+  let storedColors = { ...DEFAULT_THEME };
 
-  const GROUPS = ['background', 'surface', 'border', 'accent'];
-  const HEX_RE = /^#[0-9a-fA-F]{6}$/;
+  function paletteDefaults() {
+    return PALETTES[editingPalette].defaults;
+  }
 
   // ── DOM refs ─────────────────────────────────────────────────────────────────
 
@@ -21,49 +24,51 @@
 
   // ── Helpers ───────────────────────────────────────────────────────────────────
 
-  function normalizeHex(raw) {
-    const val = raw.trim();
-    // Accept with or without leading #
-    if (/^[0-9a-fA-F]{6}$/.test(val)) return `#${val}`;
-    if (HEX_RE.test(val)) return val.toLowerCase();
-    return null;
-  }
-
   function setRow(key, hex) {
     const input  = inputEl(key);
     const swatch = swatchEl(key);
     input.value       = hex;
     swatch.style.background = hex;
     input.classList.remove('invalid');
+    updateContrast();
+  }
+
+  function updateContrast() {
+    const background = normalizeHex(inputEl('background').value);
+    const surface = normalizeHex(inputEl('surface').value);
+
+    for (const key of TEXT_GROUPS) {
+      const note = document.getElementById(`contrast-${key}`);
+      const fg = normalizeHex(inputEl(key).value);
+      if (!fg || !background || !surface) {
+        note.textContent = '';
+        continue;
+      }
+      const onBg = BetterSpaceTheme.contrastRatio(fg, background);
+      const onSurface = BetterSpaceTheme.contrastRatio(fg, surface);
+      const fails = Math.min(onBg, onSurface) < AA_CONTRAST;
+      note.classList.toggle('fail', fails);
+      note.textContent = `${onBg.toFixed(1)}:1 on background · ${onSurface.toFixed(1)}:1 on surfaces` +
+        (fails ? ' — below WCAG AA, may be hard to read' : ' — AA');
+    }
   }
 
   function readCurrentColors() {
     const colors = {};
     for (const key of GROUPS) {
       const hex = normalizeHex(inputEl(key).value);
-      colors[key] = hex || DEFAULT_THEME[key];
+      colors[key] = hex || paletteDefaults()[key];
     }
     return colors;
   }
 
   function hasChanges(stored) {
     for (const key of GROUPS) {
-      if (inputEl(key).value !== (stored[key] || DEFAULT_THEME[key])) return true;
+      if (inputEl(key).value !== (stored[key] || paletteDefaults()[key])) return true;
     }
     return false;
   }
 
-  // ── Apply to all open Brightspace tabs ───────────────────────────────────────
-
-  async function broadcastTheme(colors) {
-    const tabs = await chrome.tabs.query({
-      url: ['*://*.brightspace.com/*', '*://brightspace.utrgv.edu/*'],
-    });
-    for (const tab of tabs) {
-      chrome.tabs.sendMessage(tab.id, { type: 'APPLY_THEME', colors }).catch(() => {});
-    }
-  }
-
   // ── Save ─────────────────────────────────────────────────────────────────────
 
   async function save() {
@@ -81,24 +86,51 @@
     if (!allValid) return;
 
     const colors = readCurrentColors();
-    await chrome.storage.local.set({ themeColors: colors });
-    await broadcastTheme(colors);
+    if (editingPalette === 'light') {
+      await BetterSpaceTheme.saveLightThemeColors(colors);
+    } else {
+      await BetterSpaceTheme.saveThemeColors(colors);
+    }
 
+    storedColors = colors;
     saveBtn.disabled = true;
+    await renderPresets();
   }
 
   // ── Reset ─────────────────────────────────────────────────────────────────────
 
   function reset() {
     for (const key of GROUPS) {
-      setRow(key, DEFAULT_THEME[key]);
+      setRow(key, paletteDefaults()[key]);
     }
     saveBtn.disabled = false;
   }
 
+  // ── Palette switch ───────────────────────────────────────────────────────────
+
+  async function showPalette(scheme) {
+    editingPalette = scheme;
+    document.querySelector(`input[name="palette"][value="${scheme}"]`).checked = true;
+    storedColors = await BetterSpaceTheme.getPaletteColors(scheme);
+    for (const key of GROUPS) setRow(key, storedColors[key]);
+    saveBtn.disabled = true;
+  }
+
+  function wirePaletteSwitch() {
+    document.querySelectorAll('input[name="palette"]').forEach((radio) => {
+      radio.addEventListener('change', async () => {
+        if (!saveBtn.disabled && !confirm('Discard unsaved color changes?')) {
+          document.querySelector(`input[name="palette"][value="${editingPalette}"]`).checked = true;
+          return;
+        }
+        await showPalette(radio.value);
+      });
+    });
+  }
+
   // ── Input listeners ──────────────────────────────────────────────────────────
 
-  function wireInputs(stored) {
+  function wireInputs() {
     for (const key of GROUPS) {
       inputEl(key).addEventListener('input', (e) => {
         const raw = e.target.value;
@@ -109,24 +141,936 @@
         } else {
           e.target.classList.toggle('invalid', raw.length > 0);
         }
-        saveBtn.disabled = !hasChanges(stored);
+        updateContrast();
+        saveBtn.disabled = !hasChanges(storedColors);
       });
     }
   }
 
-  // ── Init ─────────────────────────────────────────────────────────────────────
+  // ── Presets ──────────────────────────────────────────────────────────────────
 
-  async function init() {
-    const { themeColors } = await chrome.storage.local.get('themeColors');
-    const saved = { ...DEFAULT_THEME, ...(themeColors || {}) };
+  const presetListEl   = document.getElementById('preset-list');
+  const presetCodeEl   = document.getElementById('preset-code-input');
+  const presetErrorEl  = document.getElementById('preset-error');
+  const presetStatusEl = document.getElementById('preset-status');
 
-    for (const key of GROUPS) {
-      setRow(key, saved[key]);
+  function presetButton(label, onClick, extraClass = '') {
+    const btn = document.createElement('button');
+    btn.className = `btn-secondary btn-small ${extraClass}`.trim();
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  // Presets are dark palettes, so applying one also switches the rows to dark.
+  async function applyPreset(preset) {
+    await BetterSpaceTheme.activatePreset(preset);
+    await showPalette('dark');
+    await renderPresets();
+  }
+
+  async function renderPresets() {
+    const presets = await BetterSpaceTheme.getPresets();
+    presetListEl.innerHTML = '';
+
+    for (const preset of [...presets.builtIn, ...presets.custom]) {
+      const isCustom = presets.custom.includes(preset);
+      const row = document.createElement('li');
+      row.className = 'preset-row';
+      row.classList.toggle('active', preset.id === presets.activePresetId);
+
+      const dots = document.createElement('span');
+      dots.className = 'preset-dots';
+      for (const key of BetterSpaceTheme.PREVIEW_GROUPS) {
+        const dot = document.createElement('span');
+        dot.style.background = BetterSpaceTheme.withDefaults(preset.colors)[key];
+        dots.appendChild(dot);
+      }
+
+      const name = document.createElement('span');
+      name.className = 'preset-name';
+      name.textContent = preset.name;
+
+      row.appendChild(dots);
+      row.appendChild(name);
+      row.appendChild(presetButton('Apply', () => applyPreset(preset)));
+      row.appendChild(presetButton('Copy code', async () => {
+        await navigator.clipboard.writeText(BetterSpaceTheme.encodeShareCode(preset));
+        presetStatusEl.textContent = `Copied share code for ${preset.name}.`;
+      }));
+      if (isCustom) {
+        row.appendChild(presetButton('Delete', async () => {
+          await BetterSpaceTheme.deleteCustomPreset(preset.id);
+          await renderPresets();
+        }, 'btn-danger'));
+      }
+      presetListEl.appendChild(row);
+    }
+  }
+
+  function wirePresets() {
+    document.getElementById('preset-import-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      presetErrorEl.textContent = '';
+      presetStatusEl.textContent = '';
+
+      const decoded = BetterSpaceTheme.decodeShareCode(presetCodeEl.value);
+      if (!decoded) {
+        presetErrorEl.textContent = 'That is not a valid BetterSpace theme code.';
+        return;
+      }
+      const preset = await BetterSpaceTheme.saveCustomPreset(decoded.name || 'Imported theme', decoded.colors);
+      presetCodeEl.value = '';
+      presetStatusEl.textContent = `Added ${preset.name}.`;
+      await renderPresets();
+    });
+  }
+
+  // ── On/off ───────────────────────────────────────────────────────────────────
+
+  const activationEnabledEl = document.getElementById('activation-enabled');
+  const pausedForm    = document.getElementById('paused-form');
+  const pausedInputEl = document.getElementById('paused-input');
+  const pausedErrorEl = document.getElementById('paused-error');
+  const pausedListEl  = document.getElementById('paused-list');
+
+  async function renderPausedSites() {
+    const activation = await BetterSpaceActivation.getActivation();
+    activationEnabledEl.checked = activation.enabled;
+    pausedListEl.innerHTML = '';
+    for (const pattern of activation.pausedSites) {
+      const li = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = pattern;
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn-secondary btn-danger';
+      removeBtn.textContent = 'Resume';
+      removeBtn.addEventListener('click', async () => {
+        const current = await BetterSpaceActivation.getActivation();
+        await BetterSpaceActivation.saveActivation({
+          ...current,
+          pausedSites: current.pausedSites.filter((p) => p !== pattern),
+        });
+      });
+      li.appendChild(name);
+      li.appendChild(removeBtn);
+      pausedListEl.appendChild(li);
+    }
+  }
+
+  function wirePausedSites() {
+    activationEnabledEl.addEventListener('change', async () => {
+      const current = await BetterSpaceActivation.getActivation();
+      await BetterSpaceActivation.saveActivation({ ...current, enabled: activationEnabledEl.checked });
+    });
+
+    pausedForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      pausedErrorEl.textContent = '';
+
+      const pattern = BetterSpaceActivation.normalizeSitePattern(pausedInputEl.value);
+      if (!pattern) {
+        pausedErrorEl.textContent = 'Enter a site like learn.myschool.edu, optionally followed by a path.';
+        return;
+      }
+      const current = await BetterSpaceActivation.getActivation();
+      if (current.pausedSites.includes(pattern)) {
+        pausedErrorEl.textContent = `${pattern} is already paused.`;
+        return;
+      }
+      await BetterSpaceActivation.saveActivation({ ...current, pausedSites: [...current.pausedSites, pattern] });
+      pausedInputEl.value = '';
+    });
+
+    // Re-rendered from storage, which the popup changes too.
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.activation) renderPausedSites();
+    });
+  }
+
+  // ── Custom domains ───────────────────────────────────────────────────────────
+
+  const domainForm    = document.getElementById('domain-form');
+  const domainInputEl = document.getElementById('domain-input');
+  const domainErrorEl = document.getElementById('domain-error');
+  const domainListEl  = document.getElementById('domain-list');
+
+  async function renderDomains() {
+    const domains = await BetterSpaceDomains.getCustomDomains();
+    domainListEl.innerHTML = '';
+    for (const domain of domains) {
+      const li = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = domain;
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn-secondary btn-danger';
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', async () => {
+        await BetterSpaceDomains.removeCustomDomain(domain);
+        await renderDomains();
+      });
+      li.appendChild(name);
+      li.appendChild(removeBtn);
+      domainListEl.appendChild(li);
+    }
+  }
+
+  function wireDomains() {
+    domainForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      domainErrorEl.textContent = '';
+
+      const domain = BetterSpaceDomains.normalizeDomain(domainInputEl.value);
+      if (!domain) {
+        domainErrorEl.textContent = 'Enter a domain like learn.myschool.edu.';
+        return;
+      }
+      if (BetterSpaceDomains.isBuiltIn(domain)) {
+        domainErrorEl.textContent = `${domain} is already supported.`;
+        return;
+      }
+
+      const added = await BetterSpaceDomains.addCustomDomain(domain);
+      if (!added) {
+        domainErrorEl.textContent = 'Permission was not granted, so BetterSpace cannot run on that site.';
+        return;
+      }
+      domainInputEl.value = '';
+      await renderDomains();
+    });
+  }
+
+  // ── Embedded documents ───────────────────────────────────────────────────────
+
+  const viewerListEl = document.getElementById('viewer-list');
+
+  async function renderViewers() {
+    const settings = await BetterSpaceViewers.getViewerDarkening();
+    viewerListEl.innerHTML = '';
+    for (const [id, viewer] of Object.entries(BetterSpaceViewers.VIEWERS)) {
+      const label = document.createElement('label');
+      label.className = 'check-row';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = settings[id];
+      checkbox.addEventListener('change', async () => {
+        const current = await BetterSpaceViewers.getViewerDarkening();
+        await BetterSpaceViewers.saveViewerDarkening({ ...current, [id]: checkbox.checked });
+      });
+      label.append(checkbox, `Darken ${viewer.label.toLowerCase()}`);
+      viewerListEl.appendChild(label);
+    }
+  }
+
+  function wireViewers() {
+    // Re-rendered from storage, which the button in each viewer changes too.
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.viewerDarkening) renderViewers();
+    });
+  }
+
+  // ── Due dates ────────────────────────────────────────────────────────────────
+
+  const dueEnabledEl = document.getElementById('due-enabled');
+  const dueDaysEl    = document.getElementById('due-days');
+  const dueApiBaseEl = document.getElementById('due-api-base');
+  const dueErrorEl   = document.getElementById('due-error');
+  const dueStatusEl  = document.getElementById('due-status');
+
+  async function initDueDates() {
+    const settings = await BetterSpaceValence.getDueDateSettings();
+    dueEnabledEl.checked = settings.enabled;
+    dueDaysEl.value = settings.daysAhead;
+    dueApiBaseEl.value = settings.apiBase;
+
+    dueEnabledEl.addEventListener('change', async () => {
+      const current = await BetterSpaceValence.getDueDateSettings();
+      await BetterSpaceValence.saveDueDateSettings({ ...current, enabled: dueEnabledEl.checked });
+      dueStatusEl.textContent = 'Saved.';
+    });
+
+    document.getElementById('due-form').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      dueErrorEl.textContent = '';
+      dueStatusEl.textContent = '';
+
+      const daysAhead = Number(dueDaysEl.value);
+      if (!Number.isInteger(daysAhead) || daysAhead < 1 || daysAhead > 60) {
+        dueErrorEl.textContent = 'Look ahead between 1 and 60 days.';
+        return;
+      }
+      const apiBase = BetterSpaceValence.normalizeApiBase(dueApiBaseEl.value);
+      if (apiBase === null) {
+        dueErrorEl.textContent = 'Enter an http:// or https:// URL, or leave it empty.';
+        return;
+      }
+      dueApiBaseEl.value = apiBase;
+
+      const current = await BetterSpaceValence.getDueDateSettings();
+      await BetterSpaceValence.saveDueDateSettings({ ...current, daysAhead, apiBase });
+      // Cached lists were fetched for the old window or from the old server.
+      await chrome.storage.local.remove('deadlineCache');
+      dueStatusEl.textContent = 'Saved.';
+    });
+  }
+
+  // ── Keyboard shortcuts ───────────────────────────────────────────────────────
+  //
+  // Commands come from manifest.json; their keys are whatever the user bound
+  // in chrome://extensions/shortcuts. Ctrl+K is handled in the page itself.
+
+  const shortcutListEl = document.getElementById('shortcut-list');
+
+  function shortcutRow(description, shortcut) {
+    const li = document.createElement('li');
+    const label = document.createElement('span');
+    label.textContent = description;
+    li.appendChild(label);
+    if (shortcut) {
+      const kbd = document.createElement('kbd');
+      kbd.textContent = shortcut;
+      li.appendChild(kbd);
+    } else {
+      const unset = document.createElement('span');
+      unset.className = 'unset';
+      unset.textContent = 'Not set';
+      li.appendChild(unset);
+    }
+    return li;
+  }
+
+  async function renderShortcuts() {
+    const commands = await chrome.commands.getAll();
+    shortcutListEl.innerHTML = '';
+    for (const { description, shortcut } of commands) {
+      shortcutListEl.appendChild(shortcutRow(description || 'Open BetterSpace', shortcut));
+    }
+    const mac = navigator.platform.startsWith('Mac');
+    shortcutListEl.appendChild(shortcutRow('Go to a course (on Brightspace pages)', mac ? '⌘K' : 'Ctrl+K'));
+  }
+
+  function wireShortcuts() {
+    document.getElementById('shortcuts-edit-btn').addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+    // Rebinding happens on another page; pick it up when the user comes back.
+    window.addEventListener('focus', renderShortcuts);
+  }
+
+  // ── Sync ─────────────────────────────────────────────────────────────────────
+  //
+  // The service worker does the syncing; this page only flips syncEnabled and
+  // reports the syncStatus it writes back.
+
+  const syncToggle   = document.getElementById('sync-toggle');
+  const syncStatusEl = document.getElementById('sync-status');
+
+  function formatSyncTime(ts) {
+    const minutes = Math.round((Date.now() - ts) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    return new Date(ts).toLocaleString();
+  }
+
+  function renderSyncStatus(enabled, status) {
+    syncStatusEl.classList.toggle('error', !!(status && status.error));
+    if (!enabled) {
+      syncStatusEl.textContent = 'Sync is off.';
+    } else if (status && status.error) {
+      syncStatusEl.textContent = `Sync problem: ${status.error}`;
+    } else if (status && status.lastSync) {
+      syncStatusEl.textContent = `Last synced ${formatSyncTime(status.lastSync)}.`;
+    } else {
+      syncStatusEl.textContent = 'Waiting for first sync…';
+    }
+  }
+
+  async function initSync() {
+    const { syncEnabled, syncStatus } = await chrome.storage.local.get(['syncEnabled', 'syncStatus']);
+    syncToggle.checked = !!syncEnabled;
+    renderSyncStatus(!!syncEnabled, syncStatus);
+
+    syncToggle.addEventListener('change', async () => {
+      await chrome.storage.local.set({ syncEnabled: syncToggle.checked });
+      const { syncStatus: latest } = await chrome.storage.local.get('syncStatus');
+      renderSyncStatus(syncToggle.checked, latest);
+    });
+
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.syncStatus) {
+        renderSyncStatus(syncToggle.checked, changes.syncStatus.newValue);
+      }
+    });
+  }
+
+  // ── Backup: export ───────────────────────────────────────────────────────────
+  //
+  // The backup file is decoupled from the raw storage layout: it always holds the
+  // same named sections, so a file exported today can still be read after the
+  // storage shape changes. Bump BACKUP_SCHEMA_VERSION when the sections change.
+
+  const BACKUP_FORMAT = 'betterspace-backup';
+  const BACKUP_SCHEMA_VERSION = 8;
+  const { COURSE_ID_RE, UNASSIGNED } = BetterSpaceStorage;
+  const HOST_RE = /^[a-z0-9.-]+(:\d+)?$/i;
+
+  const importFileEl    = document.getElementById('import-file');
+  const importPreviewEl = document.getElementById('import-preview');
+  const importErrorEl   = document.getElementById('import-error');
+  const importBtn       = document.getElementById('import-btn');
+  const backupStatusEl  = document.getElementById('backup-status');
+
+  let pendingImport = null;
+
+  // Pulls one field out of every course record into an id → value map.
+  function pickField(courses, pick) {
+    const out = {};
+    for (const [id, record] of Object.entries(courses)) {
+      const value = pick(record);
+      if (value !== undefined) out[id] = value;
+    }
+    return out;
+  }
+
+  function toBackupSections({ courses, courseOrder }) {
+    return {
+      courseNames:  pickField(courses, (c) => c.name),
+      cardImages:   pickField(courses, (c) => c.image),
+      imageStyles:  pickField(courses, (c) => c.imageStyle),
+      cardSettings: pickField(courses, (c) => (c.hidden || c.pinned)
+        ? { hidden: !!c.hidden, pinned: !!c.pinned }
+        : undefined),
+      cardColors:   pickField(courses, (c) => c.color),
+      courseOrder:  courseOrder || [],
+    };
+  }
+
+  function toCourseRecords({ courseNames, cardImages, imageStyles, cardSettings, cardColors }) {
+    const courses = {};
+    const record = (id) => (courses[id] = courses[id] || {});
+    for (const [id, name] of Object.entries(courseNames)) record(id).name = name;
+    for (const [id, url] of Object.entries(cardImages)) if (url) record(id).image = url;
+    for (const [id, style] of Object.entries(imageStyles)) record(id).imageStyle = style;
+    for (const [id, layout] of Object.entries(cardSettings)) {
+      if (layout.hidden) record(id).hidden = true;
+      if (layout.pinned) record(id).pinned = true;
+    }
+    for (const [id, color] of Object.entries(cardColors)) record(id).color = color;
+    return courses;
+  }
+
+  async function readSettings() {
+    const institutions = await BetterSpaceStorage.getInstitutions();
+    const {
+      themeColors, lightThemeColors, darkMode, lightMode, darkModeSchedule, themePresets, activePresetId,
+    } = await chrome.storage.local.get([
+      'themeColors', 'lightThemeColors', 'darkMode', 'lightMode', 'darkModeSchedule',
+      'themePresets', 'activePresetId',
+    ]);
+    const renameRules = await BetterSpaceRenameRules.getRules();
+    const sections = {};
+    for (const [instHost, data] of Object.entries(institutions)) {
+      sections[instHost] = toBackupSections(data);
     }
+    return {
+      institutions: sections,
+      themeColors:  themeColors || {},
+      lightThemeColors: lightThemeColors || {},
+      darkMode:     !!darkMode,
+      lightMode:    !!lightMode,
+      darkModeSchedule: BetterSpaceTheme.normalizeSchedule(darkModeSchedule),
+      themePresets: themePresets || [],
+      activePresetId: activePresetId || null,
+      renameRules,
+    };
+  }
+
+  function downloadJSON(filename, data) {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function exportSettings() {
+    const backup = {
+      format: BACKUP_FORMAT,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      data: await readSettings(),
+    };
+    const date = backup.exportedAt.slice(0, 10);
+    downloadJSON(`betterspace-backup-${date}.json`, backup);
+
+    const nameCount = Object.values(backup.data.institutions)
+      .reduce((n, inst) => n + Object.keys(inst.courseNames).length, 0);
+    backupStatusEl.textContent = `Exported ${nameCount} course names.`;
+  }
+
+  // ── Backup: validate ─────────────────────────────────────────────────────────
+
+  function isPlainObject(val) {
+    return val !== null && typeof val === 'object' && !Array.isArray(val);
+  }
+
+  function checkIdMap(map, section, checkValue) {
+    if (!isPlainObject(map)) throw new Error(`"${section}" must be an object.`);
+    for (const [id, value] of Object.entries(map)) {
+      if (!COURSE_ID_RE.test(id)) throw new Error(`"${section}" has an invalid course id: ${id}`);
+      if (!checkValue(value)) throw new Error(`"${section}" has an invalid value for course ${id}.`);
+    }
+  }
+
+  const IMAGE_STYLE_RANGES = { x: [0, 100], y: [0, 100], brightness: [0, 200] };
+
+  function isImageStyle(style) {
+    return isPlainObject(style) && Object.entries(style).every(([key, value]) =>
+      Object.prototype.hasOwnProperty.call(IMAGE_STYLE_RANGES, key) && Number.isFinite(value) &&
+      value >= IMAGE_STYLE_RANGES[key][0] && value <= IMAGE_STYLE_RANGES[key][1]);
+  }
+
+  function validateCourseSections(raw, label) {
+    if (!isPlainObject(raw)) throw new Error(`"${label}" must be an object.`);
+    const sections = {
+      courseNames:  raw.courseNames  ?? {},
+      cardImages:   raw.cardImages   ?? {},
+      imageStyles:  raw.imageStyles  ?? {},
+      cardSettings: raw.cardSettings ?? {},
+      cardColors:   raw.cardColors   ?? {},
+      courseOrder:  raw.courseOrder  ?? [],
+    };
+
+    checkIdMap(sections.courseNames, `${label}.courseNames`, (v) => typeof v === 'string' && v.trim() !== '');
+    checkIdMap(sections.cardImages, `${label}.cardImages`, (v) => typeof v === 'string');
+    checkIdMap(sections.imageStyles, `${label}.imageStyles`, isImageStyle);
+    checkIdMap(sections.cardSettings, `${label}.cardSettings`, (v) => isPlainObject(v) &&
+      Object.values(v).every((flag) => typeof flag === 'boolean'));
+    checkIdMap(sections.cardColors, `${label}.cardColors`, BetterSpaceTheme.isCourseColor);
+
+    if (!Array.isArray(sections.courseOrder) || !sections.courseOrder.every((id) => COURSE_ID_RE.test(id))) {
+      throw new Error(`"${label}.courseOrder" must be a list of course ids.`);
+    }
+    return sections;
+  }
+
+  function checkColors(colors, section) {
+    if (!isPlainObject(colors)) throw new Error(`"${section}" must be an object.`);
+    for (const [key, hex] of Object.entries(colors)) {
+      if (!GROUPS.includes(key)) throw new Error(`"${section}" has an unknown color: ${key}`);
+      if (!HEX_RE.test(hex)) throw new Error(`"${section}.${key}" is not a hex color.`);
+    }
+  }
+
+  // Custom presets only; built-in ones ship with the extension.
+  function checkPresets(presets) {
+    if (!Array.isArray(presets)) throw new Error('"themePresets" must be a list.');
+    const ids = new Set();
+    presets.forEach((preset, i) => {
+      const label = `"themePresets" preset ${i + 1}`;
+      if (!isPlainObject(preset) || typeof preset.id !== 'string' || !preset.id ||
+          typeof preset.name !== 'string') {
+        throw new Error(`${label} needs an id and a name.`);
+      }
+      if (ids.has(preset.id)) throw new Error(`${label} repeats the id ${preset.id}.`);
+      ids.add(preset.id);
+      const { colors } = preset;
+      if (!isPlainObject(colors) ||
+          Object.keys(BetterSpaceTheme.sanitizeColors(colors)).length !== Object.keys(colors).length) {
+        throw new Error(`${label} has invalid colors.`);
+      }
+    });
+  }
+
+  function checkRenameRules(rules) {
+    if (!Array.isArray(rules)) throw new Error('"renameRules" must be a list.');
+    rules.forEach((rule, i) => {
+      const fieldsOk = isPlainObject(rule) &&
+        ['id', 'kind', 'pattern', 'flags', 'output'].every((k) => typeof rule[k] === 'string');
+      const problem = fieldsOk ? BetterSpaceRenameRules.validateRule(rule) : 'Missing fields.';
+      if (problem) throw new Error(`"renameRules" rule ${i + 1} is invalid: ${problem}`);
+    });
+  }
+
+  // Version 1 backups predate per-institution data; like the storage migration,
+  // their courses land in the unassigned bucket until a site claims them.
+  function upgradeBackupData(data, schemaVersion) {
+    if (schemaVersion >= 2) return data;
+    const { courseNames, cardImages, cardSettings, courseOrder, ...rest } = data;
+    return {
+      ...rest,
+      institutions: { [UNASSIGNED]: { courseNames, cardImages, cardSettings, courseOrder } },
+    };
+  }
+
+  // Throws with a user-facing message on the first problem found; returns the
+  // data section with every field present (missing sections become empty).
+  function validateBackup(backup) {
+    if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+      throw new Error('This is not a BetterSpace backup file.');
+    }
+    if (!Number.isInteger(backup.schemaVersion) || backup.schemaVersion < 1) {
+      throw new Error('The backup has no valid schema version.');
+    }
+    if (backup.schemaVersion > BACKUP_SCHEMA_VERSION) {
+      throw new Error(`The backup uses schema version ${backup.schemaVersion}; update BetterSpace to import it.`);
+    }
+    if (!isPlainObject(backup.data)) throw new Error('The backup has no data section.');
+
+    const raw = upgradeBackupData(backup.data, backup.schemaVersion);
+    const data = {
+      institutions: {},
+      themeColors:  raw.themeColors ?? {},
+      lightThemeColors: raw.lightThemeColors ?? {},
+      darkMode:     raw.darkMode    ?? false,
+      lightMode:    raw.lightMode   ?? false,
+      // Backups from before schedules keep the schedule already here.
+      darkModeSchedule: raw.darkModeSchedule === undefined
+        ? null
+        : BetterSpaceTheme.normalizeSchedule(raw.darkModeSchedule),
+      themePresets: raw.themePresets ?? [],
+      activePresetId: raw.activePresetId ?? null,
+      renameRules:  raw.renameRules ?? [],
+    };
+
+    if (!isPlainObject(raw.institutions ?? {})) throw new Error('"institutions" must be an object.');
+    for (const [instHost, sections] of Object.entries(raw.institutions ?? {})) {
+      if (instHost !== UNASSIGNED && !HOST_RE.test(instHost)) {
+        throw new Error(`"institutions" has an invalid site: ${instHost}`);
+      }
+      data.institutions[instHost] = validateCourseSections(sections, instHost);
+    }
+
+    checkColors(data.themeColors, 'themeColors');
+    checkColors(data.lightThemeColors, 'lightThemeColors');
+    if (typeof data.darkMode !== 'boolean') throw new Error('"darkMode" must be true or false.');
+    if (typeof data.lightMode !== 'boolean') throw new Error('"lightMode" must be true or false.');
+    if (raw.darkModeSchedule !== undefined && !isPlainObject(raw.darkModeSchedule)) {
+      throw new Error('"darkModeSchedule" must be an object.');
+    }
+    checkPresets(data.themePresets);
+    if (data.activePresetId !== null && typeof data.activePresetId !== 'string') {
+      throw new Error('"activePresetId" must be a preset id or null.');
+    }
+    checkRenameRules(data.renameRules);
+
+    return data;
+  }
+
+  // ── Backup: preview & import ─────────────────────────────────────────────────
+
+  function diffMap(current, incoming, mode) {
+    let added = 0, changed = 0, removed = 0;
+    for (const [k, v] of Object.entries(incoming)) {
+      if (!(k in current)) added++;
+      else if (JSON.stringify(current[k]) !== JSON.stringify(v)) changed++;
+    }
+    if (mode === 'replace') {
+      removed = Object.keys(current).filter((k) => !(k in incoming)).length;
+    }
+    return { added, changed, removed };
+  }
+
+  function describeDiff(label, { added, changed, removed }) {
+    const parts = [];
+    if (added) parts.push(`${added} added`);
+    if (changed) parts.push(`${changed} changed`);
+    if (removed) parts.push(`${removed} removed`);
+    return `${label}: ${parts.length ? parts.join(', ') : 'no changes'}`;
+  }
+
+  function institutionLabel(instHost) {
+    return instHost === UNASSIGNED ? 'Unassigned courses' : instHost;
+  }
+
+  function selectedImportMode() {
+    return document.querySelector('input[name="import-mode"]:checked').value;
+  }
+
+  const EMPTY_SECTIONS = {
+    courseNames: {}, cardImages: {}, imageStyles: {}, cardSettings: {}, cardColors: {}, courseOrder: [],
+  };
+
+  function mergeSections(current, incoming) {
+    return {
+      courseNames:  { ...current.courseNames, ...incoming.courseNames },
+      cardImages:   { ...current.cardImages, ...incoming.cardImages },
+      imageStyles:  { ...current.imageStyles, ...incoming.imageStyles },
+      cardSettings: { ...current.cardSettings, ...incoming.cardSettings },
+      cardColors:   { ...current.cardColors, ...incoming.cardColors },
+      courseOrder:  [
+        ...incoming.courseOrder,
+        ...current.courseOrder.filter((id) => !incoming.courseOrder.includes(id)),
+      ],
+    };
+  }
+
+  // Applies `incoming` on top of `current` (merge) or instead of it (replace).
+  function combineSettings(current, incoming, mode) {
+    if (mode === 'replace') return incoming;
+    const institutions = { ...current.institutions };
+    for (const [instHost, sections] of Object.entries(incoming.institutions)) {
+      institutions[instHost] = mergeSections(institutions[instHost] || EMPTY_SECTIONS, sections);
+    }
+    return {
+      institutions,
+      themeColors: { ...current.themeColors, ...incoming.themeColors },
+      lightThemeColors: { ...current.lightThemeColors, ...incoming.lightThemeColors },
+      darkMode:    incoming.darkMode,
+      lightMode:   incoming.lightMode,
+      darkModeSchedule: incoming.darkModeSchedule || current.darkModeSchedule,
+      themePresets: [
+        ...current.themePresets,
+        ...incoming.themePresets.filter((p) => !current.themePresets.some((c) => c.id === p.id)),
+      ],
+      activePresetId: incoming.activePresetId,
+      // Rules are ordered, so imported ones run after the rules already here.
+      renameRules: [
+        ...current.renameRules,
+        ...incoming.renameRules.filter((r) => !current.renameRules.some((c) => c.id === r.id)),
+      ],
+    };
+  }
+
+  async function renderImportPreview() {
+    if (!pendingImport) return;
+    const mode = selectedImportMode();
+    const current = await readSettings();
+    const next = combineSettings(current, pendingImport, mode);
+
+    const lines = [];
+    const hosts = new Set([...Object.keys(current.institutions), ...Object.keys(next.institutions)]);
+    for (const instHost of hosts) {
+      const before = current.institutions[instHost] || EMPTY_SECTIONS;
+      const after = next.institutions[instHost] || EMPTY_SECTIONS;
+      if (JSON.stringify(before) === JSON.stringify(after)) continue;
+      const incoming = pendingImport.institutions[instHost] || EMPTY_SECTIONS;
+      lines.push(`${institutionLabel(instHost)} — ` + [
+        describeDiff('names', diffMap(before.courseNames, incoming.courseNames, mode)),
+        describeDiff('images', diffMap(before.cardImages, incoming.cardImages, mode)),
+        describeDiff('image position and brightness', diffMap(before.imageStyles, incoming.imageStyles, mode)),
+        describeDiff('hidden/pinned', diffMap(before.cardSettings, incoming.cardSettings, mode)),
+        describeDiff('colors', diffMap(before.cardColors, incoming.cardColors, mode)),
+      ].join('; '));
+    }
+    if (!lines.length) lines.push('Courses: no changes');
+    const changed = (key) => JSON.stringify(next[key]) !== JSON.stringify(current[key]);
+    const toggled = (key) => (!changed(key) ? 'no changes' : (next[key] ? 'turned on' : 'turned off'));
+    lines.push(
+      `Dark theme colors: ${changed('themeColors') ? 'updated' : 'no changes'}`,
+      `Light theme colors: ${changed('lightThemeColors') ? 'updated' : 'no changes'}`,
+      `Dark mode: ${toggled('darkMode')}`,
+      `Light mode: ${toggled('lightMode')}`,
+      `Dark mode schedule: ${changed('darkModeSchedule') ? 'updated' : 'no changes'}`,
+      `Theme presets: ${changed('themePresets') ? `${next.themePresets.length} saved after import` : 'no changes'}`,
+      `Rename rules: ${changed('renameRules') ? `${next.renameRules.length} after import` : 'no changes'}`,
+    );
+
+    importPreviewEl.innerHTML = '';
+    for (const line of lines) {
+      const li = document.createElement('li');
+      li.textContent = line;
+      importPreviewEl.appendChild(li);
+    }
+    importPreviewEl.hidden = false;
+    importBtn.disabled = false;
+  }
+
+  async function readImportFile(file) {
+    pendingImport = null;
+    importBtn.disabled = true;
+    importPreviewEl.hidden = true;
+    importErrorEl.textContent = '';
+    backupStatusEl.textContent = '';
+    if (!file) return;
+
+    try {
+      let parsed;
+      try {
+        parsed = JSON.parse(await file.text());
+      } catch {
+        throw new Error('The file is not valid JSON.');
+      }
+      pendingImport = validateBackup(parsed);
+    } catch (err) {
+      importErrorEl.textContent = err.message;
+      return;
+    }
+    await renderImportPreview();
+  }
+
+  async function importSettings() {
+    if (!pendingImport) return;
+    backupStatusEl.textContent = '';
+    try {
+      const mode = selectedImportMode();
+      const current = await readSettings();
+      const next = combineSettings(current, pendingImport, mode);
+
+      // Uploaded images aren't in backups; keep the ones on this device
+      // attached. Their position and brightness are, but older backups lack
+      // them.
+      const existing = await BetterSpaceStorage.getInstitutions();
+      const institutions = {};
+      for (const [instHost, sections] of Object.entries(next.institutions)) {
+        const courses = toCourseRecords(sections);
+        for (const [id, record] of Object.entries(existing[instHost]?.courses || {})) {
+          if (!record.imageFile) continue;
+          courses[id] = { ...courses[id], imageFile: true };
+          delete courses[id].image;
+          if (record.imageStyle && !courses[id].imageStyle) courses[id].imageStyle = record.imageStyle;
+        }
+        institutions[instHost] = { courses, courseOrder: sections.courseOrder };
+      }
+      // A replace that drops a site takes its uploaded images with it.
+      // Everything is worked out before the first write and written in one
+      // set(), so a failure can't leave the import half applied.
+      const { set, remove } = await BetterSpaceStorage.planInstitutions(institutions);
+      await chrome.storage.local.set({
+        ...set,
+        themeColors:  next.themeColors,
+        lightThemeColors: next.lightThemeColors,
+        darkMode:     next.darkMode,
+        lightMode:    next.lightMode,
+        darkModeSchedule: BetterSpaceTheme.normalizeSchedule(next.darkModeSchedule),
+        themePresets: next.themePresets.map((p) => ({ ...p, colors: BetterSpaceTheme.sanitizeColors(p.colors) })),
+        // A preset that isn't here any more can't be the active one.
+        activePresetId: [...BetterSpaceTheme.BUILT_IN_PRESETS, ...next.themePresets]
+          .some((p) => p.id === next.activePresetId) ? next.activePresetId : null,
+        renameRules: next.renameRules,
+      });
+      if (remove.length) await chrome.storage.local.remove(remove);
+
+      await showPalette(editingPalette);
+      await renderPresets();
+      await renderInstitutions();
+    } catch (err) {
+      backupStatusEl.textContent = `Import failed. ${err.message}`;
+      return;
+    }
+
+    pendingImport = null;
+    importFileEl.value = '';
+    importPreviewEl.hidden = true;
+    importBtn.disabled = true;
+    backupStatusEl.textContent = 'Import complete.';
+  }
+
+  function wireBackup() {
+    document.getElementById('export-btn').addEventListener('click', exportSettings);
+    importFileEl.addEventListener('change', () => readImportFile(importFileEl.files[0]));
+    document.querySelectorAll('input[name="import-mode"]').forEach((radio) => {
+      radio.addEventListener('change', renderImportPreview);
+    });
+    importBtn.addEventListener('click', importSettings);
+  }
+
+  // ── Institutions ─────────────────────────────────────────────────────────────
+
+  const institutionListEl = document.getElementById('institution-list');
+
+  function summarizeInstitution({ courses }) {
+    const records = Object.values(courses);
+    const count = (pred) => records.filter(pred).length;
+    const parts = [
+      `${count((c) => c.name)} renamed`,
+      `${count((c) => c.image || c.imageFile)} with images`,
+    ];
+    const hidden = count((c) => c.hidden);
+    if (hidden) parts.push(`${hidden} hidden`);
+    return parts.join(' · ');
+  }
+
+  async function renderInstitutions() {
+    const institutions = await BetterSpaceStorage.getInstitutions();
+    const hosts = Object.keys(institutions).sort((a, b) => {
+      if (a === UNASSIGNED) return 1;
+      if (b === UNASSIGNED) return -1;
+      return a.localeCompare(b);
+    });
+    const realHosts = hosts.filter((h) => h !== UNASSIGNED);
+
+    institutionListEl.innerHTML = '';
+    if (!hosts.length) {
+      const empty = document.createElement('p');
+      empty.className = 'section-desc';
+      empty.textContent = 'No course data saved yet.';
+      institutionListEl.appendChild(empty);
+      return;
+    }
+
+    for (const instHost of hosts) {
+      const row = document.createElement('div');
+      row.className = 'institution-row';
+
+      const info = document.createElement('div');
+      info.className = 'color-info';
+      const name = document.createElement('strong');
+      name.textContent = institutionLabel(instHost);
+      const summary = document.createElement('small');
+      summary.textContent = summarizeInstitution(institutions[instHost]);
+      info.appendChild(name);
+      info.appendChild(summary);
+      row.appendChild(info);
+
+      // Legacy data: offer to hand it to a known site instead of waiting for a visit.
+      if (instHost === UNASSIGNED && realHosts.length) {
+        const select = document.createElement('select');
+        select.className = 'institution-select';
+        select.setAttribute('aria-label', 'Assign unassigned courses to a site');
+        for (const h of realHosts) select.add(new Option(h, h));
+        const assignBtn = document.createElement('button');
+        assignBtn.className = 'btn-secondary';
+        assignBtn.textContent = 'Assign';
+        assignBtn.addEventListener('click', async () => {
+          await BetterSpaceStorage.mergeInstitution(UNASSIGNED, select.value);
+          await renderInstitutions();
+        });
+        row.appendChild(select);
+        row.appendChild(assignBtn);
+      }
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn-secondary btn-danger';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        if (!confirm(`Delete all BetterSpace course data for ${institutionLabel(instHost)}?`)) return;
+        await BetterSpaceStorage.removeInstitution(instHost);
+        await renderInstitutions();
+      });
+      row.appendChild(deleteBtn);
+
+      institutionListEl.appendChild(row);
+    }
+  }
+
+  // ── Init ─────────────────────────────────────────────────────────────────────
+
+  async function init() {
+    await BetterSpaceStorage.ready();
+    await showPalette('dark');
 
-    wireInputs(saved);
+    wireInputs();
+    wirePaletteSwitch();
     saveBtn.addEventListener('click', save);
     resetBtn.addEventListener('click', reset);
+    wirePresets();
+    renderPresets();
+    wireViewers();
+    renderViewers();
+    wireBackup();
+    initSync();
+    initDueDates();
+    wireShortcuts();
+    renderShortcuts();
+    wirePausedSites();
+    renderPausedSites();
+    wireDomains();
+    renderDomains();
+    renderInstitutions();
   }
 
   init();
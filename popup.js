@@ -5,21 +5,23 @@
   const emptyStateEl = document.getElementById('empty-state');
   const errorStateEl = document.getElementById('error-state');
   const saveBtn      = document.getElementById('save-btn');
-  const darkToggle   = document.getElementById('dark-mode-toggle');
+  const listToolbar  = document.getElementById('list-toolbar');
+  const showHiddenEl = document.getElementById('show-hidden-toggle');
+  const hiddenCountEl = document.getElementById('hidden-count');
+  const institutionEl = document.getElementById('institution-label');
 
+  // courseId → partial course record, flushed through BetterSpaceStorage on save.
   const pendingEdits = {};
-  const pendingImageEdits = {};
-  let savedImages = {};
-  let currentTab = null;
-
-  const DEFAULT_THEME = {
-    background: '#121212',
-    surface:    '#1e1e1e',
-    border:     '#2d2d2d',
-    accent:     '#4d9de0',
-  };
-  const THEME_GROUPS = ['background', 'surface', 'border', 'accent'];
-  const HEX_RE = /^#[0-9a-fA-F]{6}$/;
+  let orderChanged = false;
+  let draggedRow = null;
+  let currentHost = null;
+  // Courses from GET_COURSES, kept for the rename-rule preview.
+  let listedCourses = [];
+
+  const {
+    PALETTES, THEME_GROUPS, TEXT_GROUPS, AA_CONTRAST, normalizeHex,
+    normalizeSchedule, resolveDarkMode,
+  } = BetterSpaceTheme;
 
   // ── Tab helpers ──────────────────────────────────────────────────────────────
 
@@ -34,28 +36,335 @@
 
   // ── Course list ──────────────────────────────────────────────────────────────
 
-  function renderCourseList(courses) {
+  function markDirty() {
+    saveBtn.disabled = false;
+  }
+
+  function queueEdit(id, patch) {
+    pendingEdits[id] = { ...pendingEdits[id], ...patch };
+    markDirty();
+  }
+
+  function iconButton(className, title, glyph) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = `icon-btn ${className}`;
+    btn.title = title;
+    btn.setAttribute('aria-label', title);
+    btn.textContent = glyph;
+    return btn;
+  }
+
+  function colorInput(label) {
+    const input = document.createElement('input');
+    input.type = 'color';
+    input.className = 'course-color-input';
+    input.title = label;
+    input.setAttribute('aria-label', label);
+    return input;
+  }
+
+  // Course color: a gradient from two pickers, or one color when "Solid" is
+  // ticked. Reset drops the saved color so the default picked by id applies.
+  function courseColorRow(id, saved) {
+    const row = document.createElement('div');
+    row.className = 'course-color-row';
+
+    const preview = document.createElement('span');
+    preview.className = 'course-color-preview';
+
+    const fromInput = colorInput('Course color');
+    const toInput = colorInput('Gradient end color');
+
+    const solidLabel = document.createElement('label');
+    solidLabel.className = 'course-color-solid';
+    const solidInput = document.createElement('input');
+    solidInput.type = 'checkbox';
+    solidLabel.appendChild(solidInput);
+    solidLabel.appendChild(document.createTextNode('Solid'));
+
+    const resetBtn = document.createElement('button');
+    resetBtn.type = 'button';
+    resetBtn.className = 'image-clear-btn';
+    resetBtn.textContent = '↺';
+    resetBtn.title = 'Use default color';
+
+    function render(color) {
+      preview.style.background = BetterSpaceTheme.courseGradient(color);
+      fromInput.value = color.from;
+      toInput.value = color.to || color.from;
+      solidInput.checked = !color.to;
+      toInput.hidden = !color.to;
+    }
+
+    function commit() {
+      const color = solidInput.checked
+        ? { from: fromInput.value }
+        : { from: fromInput.value, to: toInput.value };
+      render(color);
+      queueEdit(id, { color });
+    }
+
+    fromInput.addEventListener('input', commit);
+    toInput.addEventListener('input', commit);
+    solidInput.addEventListener('change', commit);
+    resetBtn.addEventListener('click', () => {
+      render(BetterSpaceTheme.defaultCourseColor(id));
+      queueEdit(id, { color: '' });
+    });
+
+    render(BetterSpaceTheme.courseColor(id, { color: saved }));
+    row.appendChild(preview);
+    row.appendChild(fromInput);
+    row.appendChild(toInput);
+    row.appendChild(solidLabel);
+    row.appendChild(resetBtn);
+    return row;
+  }
+
+  // ── Card images ──────────────────────────────────────────────────────────────
+  //
+  // A card image is either a URL or an uploaded file. Files are uploaded from
+  // the card editor on the page, not here: on some platforms the popup closes
+  // as soon as a file chooser opens. Upload saves any pending edits, then
+  // opens that editor for the course and closes the popup.
+
+  const DEFAULT_IMAGE_STYLE = { x: 50, y: 50, brightness: 100 };
+
+  async function openCardEditorInPage(id) {
+    if (!saveBtn.disabled) await saveNames();
+    await sendToContentScript(await getActiveTab(), { type: 'OPEN_CARD_EDITOR', courseId: id });
+    window.close();
+  }
+
+  function cardImageControls(id, saved, uploadedDataUrl) {
+    const wrap = document.createElement('div');
+    wrap.className = 'card-image-controls';
+
+    const imageRow = document.createElement('div');
+    imageRow.className = 'image-row';
+
+    const imageInput = document.createElement('input');
+    imageInput.type = 'text';
+    imageInput.className = 'image-url-input';
+    imageInput.placeholder = 'Background image URL…';
+
+    const uploadBtn = document.createElement('button');
+    uploadBtn.type = 'button';
+    uploadBtn.className = 'image-clear-btn';
+    uploadBtn.textContent = 'Upload…';
+    uploadBtn.title = 'Upload an image in the card editor on the page';
+
+    const clearBtn = document.createElement('button');
+    clearBtn.className = 'image-clear-btn';
+    clearBtn.textContent = '✕';
+    clearBtn.title = 'Clear image';
+
+    // Focal point: click the preview where the card should stay centred.
+    const adjustRow = document.createElement('div');
+    adjustRow.className = 'image-adjust-row';
+
+    const preview = document.createElement('button');
+    preview.type = 'button';
+    preview.className = 'image-preview';
+    preview.title = 'Click to set the focal point';
+    const focus = document.createElement('span');
+    focus.className = 'image-focus';
+    preview.appendChild(focus);
+
+    const brightnessLabel = document.createElement('label');
+    brightnessLabel.className = 'image-brightness';
+    brightnessLabel.textContent = 'Brightness';
+    const brightness = document.createElement('input');
+    brightness.type = 'range';
+    brightness.min = '30';
+    brightness.max = '130';
+    brightness.step = '5';
+    brightnessLabel.appendChild(brightness);
+
+    let src = saved.imageFile ? uploadedDataUrl || '' : saved.image;
+    let style = { ...DEFAULT_IMAGE_STYLE, ...(saved.imageStyle || {}) };
+
+    function render() {
+      imageInput.placeholder = src.startsWith('data:') ? 'Uploaded image' : 'Background image URL…';
+      adjustRow.hidden = !src;
+      preview.style.backgroundImage = BetterSpaceTheme.isSafeImageUrl(src) ? BetterSpaceTheme.cssUrl(src) : '';
+      preview.style.backgroundPosition = `${style.x}% ${style.y}%`;
+      preview.style.filter = `brightness(${style.brightness / 100})`;
+      focus.style.left = `${style.x}%`;
+      focus.style.top = `${style.y}%`;
+      brightness.value = String(style.brightness);
+    }
+
+    function setStyle(patch) {
+      style = { ...style, ...patch };
+      render();
+      queueEdit(id, { imageStyle: style });
+    }
+
+    imageInput.addEventListener('input', () => {
+      src = imageInput.value.trim();
+      render();
+      const valid = !src || BetterSpaceTheme.isSafeImageUrl(src);
+      imageInput.classList.toggle('invalid', !valid);
+      imageInput.title = valid ? '' : 'Use an http(s) image URL';
+      if (valid) queueEdit(id, { image: src, imageFile: '' });
+    });
+
+    uploadBtn.addEventListener('click', () => {
+      openCardEditorInPage(id).catch(() => {
+        uploadBtn.title = 'Reload the page, then try again';
+      });
+    });
+
+    clearBtn.addEventListener('click', () => {
+      src = '';
+      imageInput.value = '';
+      imageInput.classList.remove('invalid');
+      style = { ...DEFAULT_IMAGE_STYLE };
+      render();
+      queueEdit(id, { image: '', imageFile: '', imageStyle: '' });
+    });
+
+    preview.addEventListener('click', (e) => {
+      const rect = preview.getBoundingClientRect();
+      setStyle({
+        x: Math.round(((e.clientX - rect.left) / rect.width) * 100),
+        y: Math.round(((e.clientY - rect.top) / rect.height) * 100),
+      });
+    });
+    brightness.addEventListener('input', () => setStyle({ brightness: Number(brightness.value) }));
+
+    imageInput.value = saved.imageFile ? '' : src;
+    render();
+    imageRow.appendChild(imageInput);
+    imageRow.appendChild(uploadBtn);
+    imageRow.appendChild(clearBtn);
+    adjustRow.appendChild(preview);
+    adjustRow.appendChild(brightnessLabel);
+    wrap.appendChild(imageRow);
+    wrap.appendChild(adjustRow);
+    return wrap;
+  }
+
+  function setRowLayout(row, { hidden, pinned }) {
+    row.classList.toggle('is-hidden', hidden);
+    row.classList.toggle('is-pinned', pinned);
+    row.hidden = hidden && !showHiddenEl.checked;
+
+    const pinBtn = row.querySelector('.pin-btn');
+    pinBtn.setAttribute('aria-pressed', String(pinned));
+    pinBtn.title = pinned ? 'Unpin course' : 'Pin to top';
+
+    const eyeBtn = row.querySelector('.eye-btn');
+    eyeBtn.setAttribute('aria-pressed', String(hidden));
+    eyeBtn.textContent = hidden ? '◌' : '◉';
+    eyeBtn.title = hidden ? 'Show on homepage' : 'Hide from homepage';
+  }
+
+  function getRowLayout(row) {
+    return {
+      hidden: row.classList.contains('is-hidden'),
+      pinned: row.classList.contains('is-pinned'),
+    };
+  }
+
+  function updateHiddenCount() {
+    const count = courseListEl.querySelectorAll('.course-row.is-hidden').length;
+    hiddenCountEl.textContent = count ? `${count} hidden` : '';
+  }
+
+  // Pinned rows always sit above unpinned ones, mirroring the page.
+  function resortPinned() {
+    const rows = [...courseListEl.querySelectorAll('.course-row')];
+    const pinned = rows.filter((r) => r.classList.contains('is-pinned'));
+    const rest = rows.filter((r) => !r.classList.contains('is-pinned'));
+    [...pinned, ...rest].forEach((r) => courseListEl.appendChild(r));
+  }
+
+  function wireDragAndDrop(row, handle) {
+    // Only the handle starts a drag so text inputs keep normal selection.
+    handle.addEventListener('mousedown', () => { row.draggable = true; });
+    handle.addEventListener('mouseup', () => { row.draggable = false; });
+    row.addEventListener('dragstart', (e) => {
+      draggedRow = row;
+      row.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+    row.addEventListener('dragend', () => {
+      row.draggable = false;
+      row.classList.remove('dragging');
+      draggedRow = null;
+    });
+    row.addEventListener('dragover', (e) => {
+      if (!draggedRow || draggedRow === row) return;
+      e.preventDefault();
+      const { top, height } = row.getBoundingClientRect();
+      const after = e.clientY > top + height / 2;
+      courseListEl.insertBefore(draggedRow, after ? row.nextSibling : row);
+    });
+    row.addEventListener('drop', (e) => {
+      e.preventDefault();
+      orderChanged = true;
+      resortPinned();
+      markDirty();
+    });
+  }
+
+  function renderCourseList(courses, uploadedImages) {
     courseListEl.innerHTML = '';
 
     if (courses.length === 0) {
       emptyStateEl.hidden = false;
+      listToolbar.hidden = true;
       saveBtn.disabled = true;
       return;
     }
 
     emptyStateEl.hidden = true;
+    listToolbar.hidden = false;
     saveBtn.disabled = false;
 
     const fragment = document.createDocumentFragment();
-    courses.forEach(({ id, originalName, savedName }) => {
+    courses.forEach(({ id, originalName, savedName, image, imageFile, imageStyle, hidden, pinned, color }) => {
       const row = document.createElement('div');
       row.className = 'course-row';
+      row.dataset.id = id;
+
+      const rowHeader = document.createElement('div');
+      rowHeader.className = 'row-header';
+
+      const handle = document.createElement('span');
+      handle.className = 'drag-handle';
+      handle.textContent = '⠿';
+      handle.title = 'Drag to reorder';
 
       const label = document.createElement('label');
       label.className = 'original-name';
       label.textContent = originalName;
       label.setAttribute('for', `input-${id}`);
 
+      const pinBtn = iconButton('pin-btn', 'Pin to top', '📌');
+      pinBtn.addEventListener('click', () => {
+        const layout = { ...getRowLayout(row), pinned: !getRowLayout(row).pinned };
+        queueEdit(id, { pinned: layout.pinned });
+        setRowLayout(row, layout);
+        resortPinned();
+      });
+
+      const eyeBtn = iconButton('eye-btn', 'Hide from homepage', '◉');
+      eyeBtn.addEventListener('click', () => {
+        const layout = { ...getRowLayout(row), hidden: !getRowLayout(row).hidden };
+        queueEdit(id, { hidden: layout.hidden });
+        setRowLayout(row, layout);
+        updateHiddenCount();
+      });
+
+      rowHeader.appendChild(handle);
+      rowHeader.appendChild(label);
+      rowHeader.appendChild(pinBtn);
+      rowHeader.appendChild(eyeBtn);
+
       const input = document.createElement('input');
       input.type = 'text';
       input.id = `input-${id}`;
@@ -64,125 +373,222 @@
       input.value = savedName;
       input.setAttribute('aria-label', `Custom name for ${originalName}`);
       input.addEventListener('input', () => {
-        pendingEdits[id] = input.value.trim();
-        saveBtn.disabled = false;
-      });
-
-      const imageRow = document.createElement('div');
-      imageRow.className = 'image-row';
-
-      const imageInput = document.createElement('input');
-      imageInput.type = 'text';
-      imageInput.className = 'image-url-input';
-      imageInput.placeholder = 'Background image URL…';
-      imageInput.value = savedImages[id] || '';
-      imageInput.addEventListener('input', () => {
-        pendingImageEdits[id] = imageInput.value.trim();
-        saveBtn.disabled = false;
-      });
-
-      const clearBtn = document.createElement('button');
-      clearBtn.className = 'image-clear-btn';
-      clearBtn.textContent = '✕';
-      clearBtn.title = 'Clear image';
-      clearBtn.addEventListener('click', () => {
-        imageInput.value = '';
-        pendingImageEdits[id] = '';
-        saveBtn.disabled = false;
+        queueEdit(id, { name: input.value.trim() });
+        renderRulePreview();
       });
 
-      imageRow.appendChild(imageInput);
-      imageRow.appendChild(clearBtn);
-
-      row.appendChild(label);
+      row.appendChild(rowHeader);
       row.appendChild(input);
-      row.appendChild(imageRow);
+      row.appendChild(cardImageControls(id, { image, imageFile, imageStyle }, uploadedImages[id]));
+      row.appendChild(courseColorRow(id, color));
+      wireDragAndDrop(row, handle);
+      setRowLayout(row, { hidden, pinned });
       fragment.appendChild(row);
     });
 
     courseListEl.appendChild(fragment);
+    updateHiddenCount();
   }
 
-  async function saveNames(tab) {
-    const existing = await chrome.storage.local.get(null);
-    const allNames = { ...existing };
-
-    for (const [id, name] of Object.entries(pendingEdits)) {
-      if (name === '') {
-        delete allNames[id];
-      } else {
-        allNames[id] = name;
-      }
+  async function saveNames() {
+    // Courses on this page take the popup's order; courses from other pages
+    // (e.g. another semester tab that isn't rendered) keep their saved slots after them.
+    let courseOrder;
+    if (orderChanged) {
+      const { courseOrder: saved } = await BetterSpaceStorage.getCourseData(currentHost);
+      const visibleIds = [...courseListEl.querySelectorAll('.course-row')].map((r) => r.dataset.id);
+      courseOrder = [...visibleIds, ...saved.filter((id) => !visibleIds.includes(id))];
     }
 
-    // Merge image edits
-    const existingImages = { ...(existing.cardImages || {}) };
-    for (const [id, url] of Object.entries(pendingImageEdits)) {
-      if (url === '') delete existingImages[id];
-      else existingImages[id] = url;
-    }
-    allNames.cardImages = existingImages;
+    await BetterSpaceStorage.updateCourses(currentHost, pendingEdits, courseOrder);
 
-    await chrome.storage.local.set(allNames);
+    saveBtn.disabled = true;
+    orderChanged = false;
+    Object.keys(pendingEdits).forEach((k) => delete pendingEdits[k]);
+  }
 
-    const courseNames = Object.fromEntries(
-      Object.entries(allNames).filter(([k]) => /^\d+$/.test(k))
-    );
+  // ── Appearance ───────────────────────────────────────────────────────────────
+  //
+  // Off / Light / Dark, plus when dark turns on by itself. With an automatic
+  // mode the Dark option is locked and Off/Light pick the look outside the
+  // dark window. Every Brightspace tab (and frame) re-evaluates the schedule
+  // itself, so the popup only has to store the settings.
 
-    try {
-      await sendToContentScript(tab, { type: 'APPLY_NAMES', names: courseNames });
-    } catch { /* persisted, applies on next reload */ }
+  const appearanceRadios = document.querySelectorAll('input[name="appearance"]');
+  const darkOptionEl = document.getElementById('appearance-dark');
+  const modeSelect   = document.getElementById('dark-mode-mode');
+  const scheduleEl   = document.getElementById('dark-schedule-times');
+  const startInput   = document.getElementById('dark-start');
+  const endInput     = document.getElementById('dark-end');
+  const systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
 
-    try {
-      await sendToContentScript(tab, { type: 'APPLY_IMAGES', images: existingImages });
-    } catch { /* persisted, applies on next reload */ }
+  const appearance = { darkMode: false, lightMode: false, schedule: normalizeSchedule() };
 
-    savedImages = existingImages;
-    saveBtn.disabled = true;
-    Object.keys(pendingEdits).forEach((k) => delete pendingEdits[k]);
-    Object.keys(pendingImageEdits).forEach((k) => delete pendingImageEdits[k]);
+  function selectedAppearance() {
+    if (appearance.schedule.mode === 'manual' && appearance.darkMode) return 'dark';
+    return appearance.lightMode ? 'light' : 'off';
   }
 
-  // ── Dark mode toggle ─────────────────────────────────────────────────────────
+  function renderAppearance() {
+    const auto = appearance.schedule.mode !== 'manual';
+    const selected = selectedAppearance();
+    appearanceRadios.forEach((radio) => { radio.checked = radio.value === selected; });
+    darkOptionEl.querySelector('input').disabled = auto;
+    darkOptionEl.classList.toggle('auto-active', auto &&
+      resolveDarkMode(appearance.darkMode, appearance.schedule, systemDarkQuery.matches));
+    darkOptionEl.title = auto ? 'Dark theme turns on automatically' : '';
+    modeSelect.value = appearance.schedule.mode;
+    startInput.value = appearance.schedule.start;
+    endInput.value = appearance.schedule.end;
+    scheduleEl.hidden = appearance.schedule.mode !== 'schedule';
+  }
 
-  async function initDarkMode() {
-    const { darkMode } = await chrome.storage.local.get('darkMode');
-    darkToggle.checked = !!darkMode;
+  async function saveAppearance(value) {
+    appearance.darkMode = value === 'dark';
+    if (value !== 'dark') appearance.lightMode = value === 'light';
+    renderAppearance();
+    const { darkMode, lightMode } = appearance;
+    await chrome.storage.local.set({ darkMode, lightMode });
+  }
 
-    darkToggle.addEventListener('change', async () => {
-      const enabled = darkToggle.checked;
-      await chrome.storage.local.set({ darkMode: enabled });
-      if (currentTab) {
-        try {
-          await sendToContentScript(currentTab, { type: 'SET_DARK_MODE', enabled });
-        } catch { /* not a Brightspace tab */ }
-      }
+  async function saveSchedule() {
+    appearance.schedule = normalizeSchedule({
+      mode: modeSelect.value,
+      start: startInput.value,
+      end: endInput.value,
     });
+    renderAppearance();
+    await chrome.storage.local.set({ darkModeSchedule: appearance.schedule });
   }
 
-  // ── Theme panel ──────────────────────────────────────────────────────────────
+  async function initAppearance() {
+    const stored = await chrome.storage.local.get(['darkMode', 'lightMode', 'darkModeSchedule']);
+    appearance.darkMode = !!stored.darkMode;
+    appearance.lightMode = !!stored.lightMode;
+    appearance.schedule = normalizeSchedule(stored.darkModeSchedule);
+    renderAppearance();
 
-  function normalizeHex(raw) {
-    const val = raw.trim();
-    if (/^[0-9a-fA-F]{6}$/.test(val)) return `#${val}`;
-    if (HEX_RE.test(val)) return val.toLowerCase();
-    return null;
+    appearanceRadios.forEach((radio) => {
+      radio.addEventListener('change', () => saveAppearance(radio.value));
+    });
+    modeSelect.addEventListener('change', saveSchedule);
+    startInput.addEventListener('change', saveSchedule);
+    endInput.addEventListener('change', saveSchedule);
+    systemDarkQuery.addEventListener('change', renderAppearance);
   }
 
+  // ── Theme panel ──────────────────────────────────────────────────────────────
+
   function setColorRow(key, hex) {
     document.getElementById(`theme-input-${key}`).value = hex;
     document.getElementById(`swatch-${key}`).style.background = hex;
+    updateContrast();
   }
 
-  async function broadcastTheme(colors) {
-    const tabs = await chrome.tabs.query({
-      url: ['*://*.brightspace.com/*', '*://brightspace.utrgv.edu/*'],
-    });
-    for (const tab of tabs) {
-      chrome.tabs.sendMessage(tab.id, { type: 'APPLY_THEME', colors }).catch(() => {});
+  // Badge shows the worse of the two ratios (on background, on surface).
+  function updateContrast() {
+    const value = (key) => normalizeHex(document.getElementById(`theme-input-${key}`).value);
+    const background = value('background');
+    const surface = value('surface');
+
+    for (const key of TEXT_GROUPS) {
+      const badge = document.getElementById(`contrast-${key}`);
+      const fg = value(key);
+      if (!fg || !background || !surface) {
+        badge.textContent = '';
+        badge.classList.remove('fail');
+        continue;
+      }
+      const onBg = BetterSpaceTheme.contrastRatio(fg, background);
+      const onSurface = BetterSpaceTheme.contrastRatio(fg, surface);
+      const worst = Math.min(onBg, onSurface);
+      const fails = worst < AA_CONTRAST;
+      badge.textContent = `${fails ? '⚠ ' : ''}${worst.toFixed(1)}:1`;
+      badge.classList.toggle('fail', fails);
+      badge.title = `${onBg.toFixed(2)}:1 on background, ${onSurface.toFixed(2)}:1 on surfaces` +
+        (fails ? ` — below WCAG AA (${AA_CONTRAST}:1)` : ' — passes WCAG AA');
     }
   }
 
+  // Which palette the panel is editing; presets only apply to the dark one.
+  let editingPalette = 'dark';
+
+  function readThemeInputs() {
+    const colors = {};
+    for (const key of THEME_GROUPS) {
+      const hex = normalizeHex(document.getElementById(`theme-input-${key}`).value);
+      if (!hex) return null;
+      colors[key] = hex;
+    }
+    return colors;
+  }
+
+  // ── Preset gallery ───────────────────────────────────────────────────────────
+
+  const presetGalleryEl = document.getElementById('preset-gallery');
+
+  function presetChip(preset, active) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'preset-chip';
+    chip.classList.toggle('active', active);
+    chip.title = `Apply ${preset.name}`;
+    chip.setAttribute('aria-pressed', String(active));
+
+    const dots = document.createElement('span');
+    dots.className = 'preset-dots';
+    for (const key of BetterSpaceTheme.PREVIEW_GROUPS) {
+      const dot = document.createElement('span');
+      dot.style.background = BetterSpaceTheme.withDefaults(preset.colors)[key];
+      dots.appendChild(dot);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'preset-name';
+    name.textContent = preset.name;
+
+    chip.appendChild(dots);
+    chip.appendChild(name);
+    return chip;
+  }
+
+  async function renderPresetGallery() {
+    const presets = await BetterSpaceTheme.getPresets();
+    presetGalleryEl.innerHTML = '';
+    for (const preset of [...presets.builtIn, ...presets.custom]) {
+      const chip = presetChip(preset, preset.id === presets.activePresetId);
+      chip.addEventListener('click', async () => {
+        const colors = await BetterSpaceTheme.activatePreset(preset);
+        THEME_GROUPS.forEach((key) => setColorRow(key, colors[key]));
+        document.getElementById('theme-apply-btn').disabled = true;
+        await renderPresetGallery();
+      });
+      presetGalleryEl.appendChild(chip);
+    }
+  }
+
+  function wireSaveAsPreset() {
+    const saveAsBtn = document.getElementById('preset-save-as-btn');
+    const form      = document.getElementById('preset-save-form');
+    const nameInput = document.getElementById('preset-name-input');
+
+    saveAsBtn.addEventListener('click', () => {
+      form.hidden = !form.hidden;
+      if (!form.hidden) nameInput.focus();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const colors = readThemeInputs();
+      if (!colors || !nameInput.value.trim()) return;
+      const preset = await BetterSpaceTheme.saveCustomPreset(nameInput.value, colors);
+      await BetterSpaceTheme.activatePreset(preset);
+      nameInput.value = '';
+      form.hidden = true;
+      await renderPresetGallery();
+    });
+  }
+
   async function initTheme() {
     const toggleBtn  = document.getElementById('theme-toggle');
     const content    = document.getElementById('theme-content');
@@ -197,10 +603,26 @@
       arrow.innerHTML = opening ? '&#9660;' : '&#9658;';
     });
 
-    // Load saved colors
-    const { themeColors } = await chrome.storage.local.get('themeColors');
-    const saved = { ...DEFAULT_THEME, ...(themeColors || {}) };
-    THEME_GROUPS.forEach((key) => setColorRow(key, saved[key]));
+    const paletteTabs = document.querySelectorAll('.palette-tab');
+    const presetOnly  = [presetGalleryEl, document.getElementById('preset-save-as-btn')];
+
+    async function showPalette(scheme) {
+      editingPalette = scheme;
+      paletteTabs.forEach((tab) => tab.setAttribute('aria-selected', String(tab.dataset.palette === scheme)));
+      presetOnly.forEach((el) => { el.hidden = scheme !== 'dark'; });
+      document.getElementById('preset-save-form').hidden = true;
+      const saved = await BetterSpaceTheme.getPaletteColors(scheme);
+      THEME_GROUPS.forEach((key) => {
+        setColorRow(key, saved[key]);
+        document.getElementById(`theme-input-${key}`).classList.remove('invalid');
+      });
+      applyBtn.disabled = true;
+    }
+
+    paletteTabs.forEach((tab) => {
+      tab.addEventListener('click', () => showPalette(tab.dataset.palette));
+    });
+    await showPalette(selectedAppearance() === 'light' ? 'light' : 'dark');
 
     // Live swatch update on input
     THEME_GROUPS.forEach((key) => {
@@ -212,6 +634,7 @@
         } else {
           e.target.classList.toggle('invalid', e.target.value.length > 0);
         }
+        updateContrast();
         applyBtn.disabled = false;
       });
     });
@@ -232,46 +655,488 @@
       }
       if (!allValid) return;
 
-      await chrome.storage.local.set({ themeColors: colors });
-      await broadcastTheme(colors);
+      if (editingPalette === 'light') {
+        await BetterSpaceTheme.saveLightThemeColors(colors);
+      } else {
+        await BetterSpaceTheme.saveThemeColors(colors);
+      }
       applyBtn.disabled = true;
+      await renderPresetGallery();
     });
 
     // Reset
     resetBtn.addEventListener('click', () => {
-      THEME_GROUPS.forEach((key) => setColorRow(key, DEFAULT_THEME[key]));
+      const defaults = PALETTES[editingPalette].defaults;
+      THEME_GROUPS.forEach((key) => setColorRow(key, defaults[key]));
       applyBtn.disabled = false;
     });
+
+    renderPresetGallery();
+    wireSaveAsPreset();
   }
 
-  // ── Init ─────────────────────────────────────────────────────────────────────
+  // ── Rename rules ─────────────────────────────────────────────────────────────
+  //
+  // Rules are edited here and previewed against the courses on the current
+  // page; nothing reaches storage or open tabs until Apply.
 
-  async function init() {
-    initDarkMode();
-    initTheme();
+  const ruleListEl     = document.getElementById('rule-list');
+  const rulePreviewEl  = document.getElementById('rule-preview');
+  const rulesApplyBtn  = document.getElementById('rules-apply-btn');
+  const RULE_KIND_LABELS = { template: 'Template', replace: 'Find/replace' };
 
-    const { cardImages } = await chrome.storage.local.get('cardImages');
-    savedImages = cardImages || {};
+  let rules = [];
 
-    let tab;
+  function ruleInput(className, placeholder, value, onInput) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = `rule-input ${className}`;
+    input.placeholder = placeholder;
+    input.setAttribute('aria-label', placeholder);
+    input.spellcheck = false;
+    input.value = value;
+    input.addEventListener('input', () => onInput(input.value));
+    return input;
+  }
+
+  function rulesChanged() {
+    rulesApplyBtn.disabled = false;
+    renderRulePreview();
+  }
+
+  function moveRule(index, delta) {
+    const [rule] = rules.splice(index, 1);
+    rules.splice(index + delta, 0, rule);
+    renderRules();
+    rulesChanged();
+  }
+
+  function ruleRow(rule, index) {
+    const row = document.createElement('li');
+    row.className = 'rule-row';
+
+    const top = document.createElement('div');
+    top.className = 'rule-top';
+    const kind = document.createElement('span');
+    kind.className = 'rule-kind';
+    kind.textContent = `${index + 1}. ${RULE_KIND_LABELS[rule.kind]}`;
+    const upBtn = iconButton('rule-up-btn', 'Move up', '↑');
+    upBtn.disabled = index === 0;
+    upBtn.addEventListener('click', () => moveRule(index, -1));
+    const downBtn = iconButton('rule-down-btn', 'Move down', '↓');
+    downBtn.disabled = index === rules.length - 1;
+    downBtn.addEventListener('click', () => moveRule(index, 1));
+    const deleteBtn = iconButton('rule-delete-btn', 'Delete rule', '✕');
+    deleteBtn.addEventListener('click', () => {
+      rules.splice(index, 1);
+      renderRules();
+      rulesChanged();
+    });
+    top.append(kind, upBtn, downBtn, deleteBtn);
+
+    const error = document.createElement('p');
+    error.className = 'rule-error';
+    const update = (patch) => {
+      Object.assign(rule, patch);
+      const problem = BetterSpaceRenameRules.validateRule(rule);
+      error.textContent = problem || '';
+      pattern.classList.toggle('invalid', !!problem);
+      rulesChanged();
+    };
+
+    const patternRow = document.createElement('div');
+    patternRow.className = 'rule-pattern-row';
+    const pattern = ruleInput(
+      'rule-pattern',
+      rule.kind === 'template' ? 'Pattern (blank = course code parts)' : 'Find (regular expression)',
+      rule.pattern,
+      (value) => update({ pattern: value }),
+    );
+    const flags = ruleInput('rule-flags', 'Flags', rule.flags, (value) => update({ flags: value.trim() }));
+    patternRow.append(pattern, flags);
+
+    const output = ruleInput(
+      'rule-output',
+      rule.kind === 'template' ? 'Name, e.g. {subject} {number}' : 'Replace with',
+      rule.output,
+      (value) => update({ output: value }),
+    );
+
+    const problem = BetterSpaceRenameRules.validateRule(rule);
+    error.textContent = problem || '';
+    pattern.classList.toggle('invalid', !!problem);
+
+    row.append(top, patternRow, output, error);
+    return row;
+  }
+
+  function renderRules() {
+    ruleListEl.innerHTML = '';
+    rules.forEach((rule, index) => ruleListEl.appendChild(ruleRow(rule, index)));
+  }
+
+  // Shows what each course without a typed name would be called, and puts the
+  // same name in its name field's placeholder.
+  function renderRulePreview() {
+    rulePreviewEl.innerHTML = '';
+    if (!listedCourses.length) {
+      const li = document.createElement('li');
+      li.textContent = 'Open your Brightspace homepage to preview rules against your courses.';
+      rulePreviewEl.appendChild(li);
+      return;
+    }
+
+    for (const { id, originalName } of listedCourses) {
+      const result = BetterSpaceRenameRules.applyRules(rules, originalName);
+      const input = document.getElementById(`input-${id}`);
+      if (input) input.placeholder = result;
+      if (input && input.value.trim()) continue;
+
+      const li = document.createElement('li');
+      li.title = `${originalName} → ${result}`;
+      if (result === originalName) {
+        li.textContent = `${originalName} (unchanged)`;
+      } else {
+        li.className = 'renamed';
+        li.textContent = `${originalName} → ${result}`;
+      }
+      rulePreviewEl.appendChild(li);
+    }
+  }
+
+  async function initRules() {
+    const toggleBtn = document.getElementById('rules-toggle');
+    const content   = document.getElementById('rules-content');
+    const arrow     = document.getElementById('rules-arrow');
+
+    toggleBtn.addEventListener('click', () => {
+      const opening = content.hidden;
+      content.hidden = !opening;
+      arrow.innerHTML = opening ? '&#9660;' : '&#9658;';
+    });
+
+    for (const kind of BetterSpaceRenameRules.RULE_KINDS) {
+      document.getElementById(`rule-add-${kind}`).addEventListener('click', () => {
+        rules.push(BetterSpaceRenameRules.newRule(kind));
+        renderRules();
+        rulesChanged();
+      });
+    }
+
+    rulesApplyBtn.addEventListener('click', async () => {
+      await BetterSpaceRenameRules.saveRules(rules);
+      rulesApplyBtn.disabled = true;
+    });
+
+    rules = await BetterSpaceRenameRules.getRules();
+    renderRules();
+    renderRulePreview();
+  }
+
+  // ── Calendar export ──────────────────────────────────────────────────────────
+  //
+  // Builds an iCalendar (RFC 5545) file from the Valence API's deadlines for
+  // the ticked courses. Each event's UID is the deadline's uid plus the site,
+  // so importing a later export updates events rather than adding copies.
+
+  const exportCoursesEl = document.getElementById('export-courses');
+  const exportAllEl     = document.getElementById('export-all');
+  const exportRangeEl   = document.getElementById('export-range');
+  const exportBtn       = document.getElementById('export-btn');
+  const exportStatusEl  = document.getElementById('export-status');
+
+  const { DEADLINE_KIND_LABELS } = BetterSpaceValence;
+  let exportCourses = null; // [{ id, name, displayName }] once loaded
+
+  function icsText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  function icsDate(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space,
+  // without splitting a multi-byte character.
+  function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of line) {
+      const size = encoder.encode(ch).length;
+      const limit = parts.length ? 74 : 75;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = '';
+        octets = 0;
+      }
+      current += ch;
+      octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  function buildICS(items, names, host) {
+    const stamp = icsDate(Date.now());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//BetterSpace//Brightspace due dates//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${icsText(`Brightspace (${host})`)}`,
+    ];
+    for (const item of items) {
+      const courseName = names[item.courseId] || item.courseName;
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${item.uid}@${host}`,
+        `DTSTAMP:${stamp}`,
+        // A deadline is a moment, not a span. RFC 5545 wants DTEND after
+        // DTSTART, so there's none: a DATE-TIME DTSTART alone is an event
+        // that ends when it starts.
+        `DTSTART:${icsDate(item.due)}`,
+        `SUMMARY:${icsText(`${courseName}: ${item.title}`)}`,
+        `DESCRIPTION:${icsText(`${DEADLINE_KIND_LABELS[item.kind]} in ${item.courseName}\n${item.url}`)}`,
+        `URL:${item.url}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+      );
+    }
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldLine).join('\r\n')}\r\n`;
+  }
+
+  function downloadFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function selectedExportCourses() {
+    const checked = new Set([...exportCoursesEl.querySelectorAll('input:checked')].map((i) => i.value));
+    return exportCourses.filter((c) => checked.has(c.id));
+  }
+
+  function renderExportCourses() {
+    exportCoursesEl.innerHTML = '';
+    for (const course of exportCourses) {
+      const li = document.createElement('li');
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = course.id;
+      input.checked = true;
+      input.addEventListener('change', () => {
+        const count = selectedExportCourses().length;
+        exportAllEl.checked = count === exportCourses.length;
+        exportAllEl.indeterminate = count > 0 && count < exportCourses.length;
+        exportBtn.disabled = count === 0;
+      });
+      const name = document.createElement('span');
+      name.textContent = course.displayName;
+      name.title = course.name;
+      label.append(input, name);
+      li.appendChild(label);
+      exportCoursesEl.appendChild(li);
+    }
+    exportBtn.disabled = !exportCourses.length;
+  }
+
+  async function loadExportCourses() {
+    if (!currentHost) {
+      exportStatusEl.textContent = 'Open a Brightspace page to export its due dates.';
+      return;
+    }
+    exportStatusEl.textContent = 'Loading courses…';
     try {
-      tab = await getActiveTab();
-      currentTab = tab;
+      const settings = await BetterSpaceValence.getDueDateSettings();
+      const enrollments = await BetterSpaceValence.getEnrollments(BetterSpaceValence.apiBaseFor(currentHost, settings));
+      const { courses } = await BetterSpaceStorage.getCourseData(currentHost);
+      const rules = await BetterSpaceRenameRules.getRules();
+      exportCourses = enrollments.map((c) => ({
+        ...c,
+        displayName: (courses[c.id] && courses[c.id].name) || BetterSpaceRenameRules.applyRules(rules, c.name),
+      }));
+      exportStatusEl.textContent = exportCourses.length ? '' : 'No active courses found.';
+      renderExportCourses();
+    } catch (err) {
+      exportCourses = null;
+      exportStatusEl.textContent = `Couldn't load courses. ${err.message}`;
+    }
+  }
+
+  async function exportCalendar() {
+    const selected = selectedExportCourses();
+    exportBtn.disabled = true;
+    exportStatusEl.textContent = 'Collecting due dates…';
+    try {
+      const settings = await BetterSpaceValence.getDueDateSettings();
+      const now = Date.now();
+      const range = { from: now, to: now + Number(exportRangeEl.value) * 24 * 60 * 60 * 1000 };
+      const { items, failed } = await BetterSpaceValence.getDeadlines(
+        BetterSpaceValence.apiBaseFor(currentHost, settings), selected, range);
+      const names = Object.fromEntries(selected.map((c) => [c.id, c.displayName]));
+      const date = new Date().toISOString().slice(0, 10);
+      downloadFile(`brightspace-due-dates-${date}.ics`, buildICS(items, names, currentHost), 'text/calendar');
+      exportStatusEl.textContent = `Exported ${items.length} due date(s).` +
+        (failed ? ` ${failed} list(s) couldn't be loaded.` : '');
+    } catch (err) {
+      exportStatusEl.textContent = `Export failed. ${err.message}`;
+    } finally {
+      exportBtn.disabled = false;
+    }
+  }
+
+  function initExport() {
+    const toggleBtn = document.getElementById('export-toggle');
+    const content   = document.getElementById('export-content');
+    const arrow     = document.getElementById('export-arrow');
+
+    toggleBtn.addEventListener('click', () => {
+      const opening = content.hidden;
+      content.hidden = !opening;
+      arrow.innerHTML = opening ? '&#9660;' : '&#9658;';
+      // Listing courses is an API call; only make it when the panel is used.
+      if (opening && !exportCourses) loadExportCourses();
+    });
+
+    exportAllEl.addEventListener('change', () => {
+      exportCoursesEl.querySelectorAll('input').forEach((input) => { input.checked = exportAllEl.checked; });
+      exportAllEl.indeterminate = false;
+      exportBtn.disabled = !exportAllEl.checked || !exportCourses || !exportCourses.length;
+    });
+    exportBtn.addEventListener('click', exportCalendar);
+  }
+
+  // ── On/off ───────────────────────────────────────────────────────────────────
+  //
+  // The master switch, and pausing BetterSpace on the current tab's site (see
+  // activation.js). Tabs tear down or start up by themselves when it changes.
+
+  const enabledEl    = document.getElementById('bs-enabled');
+  const sitePauseBtn = document.getElementById('site-pause-btn');
+  const pausedStateEl = document.getElementById('paused-state');
+
+  let activation = BetterSpaceActivation.DEFAULT_ACTIVATION;
+  let tabUrl = null; // only for http(s) tabs
+
+  function pausingHere() {
+    return tabUrl ? BetterSpaceActivation.pausingPatterns(activation, [tabUrl]) : [];
+  }
+
+  function renderActivation() {
+    enabledEl.checked = activation.enabled;
+    sitePauseBtn.hidden = !tabUrl || !activation.enabled;
+    if (!tabUrl) return;
+    const pausedBy = pausingHere();
+    sitePauseBtn.textContent = pausedBy.length ? 'Resume here' : `Pause on ${new URL(tabUrl).hostname}`;
+    sitePauseBtn.title = pausedBy.length ? `Paused by ${pausedBy.join(', ')}` : '';
+  }
+
+  // Shown instead of the course list while the tab isn't running BetterSpace.
+  function renderPaused() {
+    const pausedBy = pausingHere();
+    document.getElementById('paused-title').textContent = activation.enabled
+      ? 'BetterSpace is paused on this page.'
+      : 'BetterSpace is off.';
+    document.getElementById('paused-hint').textContent = activation.enabled
+      ? `Matched by ${pausedBy.join(', ') || 'a paused site'}. Manage paused sites in settings.`
+      : 'Turn on “Run BetterSpace” to use it on Brightspace pages.';
+    pausedStateEl.hidden = false;
+    emptyStateEl.hidden = true;
+    listToolbar.hidden = true;
+    courseListEl.innerHTML = '';
+    saveBtn.disabled = true;
+  }
+
+  async function saveActivation(next, tab) {
+    activation = next;
+    await BetterSpaceActivation.saveActivation(activation);
+    renderActivation();
+    if (tab) await loadCourses(tab);
+  }
+
+  async function initActivation(tab) {
+    activation = await BetterSpaceActivation.getActivation();
+    tabUrl = tab && /^https?:/.test(tab.url || '') ? tab.url : null;
+    renderActivation();
+
+    enabledEl.addEventListener('change', () => {
+      saveActivation({ ...activation, enabled: enabledEl.checked }, tab);
+    });
+    sitePauseBtn.addEventListener('click', () => {
+      const pausedBy = pausingHere();
+      const pausedSites = pausedBy.length
+        ? activation.pausedSites.filter((pattern) => !pausedBy.includes(pattern))
+        : [...activation.pausedSites, BetterSpaceActivation.normalizeSitePattern(new URL(tabUrl).host)];
+      saveActivation({ ...activation, pausedSites }, tab);
+    });
+  }
+
+  // ── Init ─────────────────────────────────────────────────────────────────────
+
+  async function loadCourses(tab) {
+    let response;
+    try {
+      response = await sendToContentScript(tab, { type: 'GET_COURSES' });
+      if (response.error) throw new Error(response.error);
     } catch {
       errorStateEl.hidden = false;
       return;
     }
 
-    let response;
+    currentHost = response.host;
+    if (response.paused || !BetterSpaceActivation.isActive(activation, [tabUrl])) {
+      renderPaused();
+      return;
+    }
+    pausedStateEl.hidden = true;
+    institutionEl.textContent = `Editing courses on ${currentHost}`;
+    institutionEl.title = 'Course names, images, colors and layout are saved separately for each Brightspace site';
+    const uploadedIds = response.courses.filter((c) => c.imageFile).map((c) => c.id);
+    renderCourseList(response.courses, await BetterSpaceStorage.getCourseImages(currentHost, uploadedIds));
+    listedCourses = response.courses;
+    renderRulePreview();
+  }
+
+  async function init() {
+    document.getElementById('open-settings').addEventListener('click', (e) => {
+      e.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+
+    await BetterSpaceStorage.ready();
+    await initAppearance();
+    initTheme();
+    initRules();
+    initExport();
+
+    let tab;
     try {
-      response = await sendToContentScript(tab, { type: 'GET_COURSES' });
+      tab = await getActiveTab();
     } catch {
       errorStateEl.hidden = false;
       return;
     }
 
-    renderCourseList(response.courses);
-    saveBtn.addEventListener('click', () => saveNames(tab));
+    await initActivation(tab);
+    showHiddenEl.addEventListener('change', () => {
+      courseListEl.querySelectorAll('.course-row').forEach((row) => {
+        setRowLayout(row, getRowLayout(row));
+      });
+    });
+    saveBtn.addEventListener('click', saveNames);
+    await loadCourses(tab);
   }
 
   init();
@@ -0,0 +1,95 @@
+// Rule-based course renaming — loaded by the content script and popup.
+//
+// Storage:
+//   renameRules: [{ id, kind, pattern, flags, output }] — applied in order
+//
+// Each rule rewrites a working name that starts as the official course name:
+//   replace  — regex find/replace; `output` may use $1 / $<group> as usual
+//   template — if `pattern` matches, the name becomes `output` with {part}
+//              placeholders filled from the pattern's named groups
+//
+// A template rule with an empty pattern uses PARTS_PATTERN, which reads names
+// like "2025FA-BIOL-1406-05 General Biology I (Lecture)". Rules only ever
+// decide the name of courses the user hasn't renamed by hand.
+
+(function (global) {
+  'use strict';
+
+  const PARTS_PATTERN =
+    '^(?<term>\\d{4}[A-Z]{2})-(?<subject>[A-Z]{2,5})-(?<number>\\d{4}[A-Z]?)-(?<section>[A-Z0-9]{2,4})' +
+    '\\s+(?<title>.+?)(?:\\s+\\((?<type>[^)]+)\\))?$';
+  const PARTS = ['term', 'subject', 'number', 'section', 'title', 'type'];
+
+  const RULE_KINDS = ['replace', 'template'];
+  const FLAGS_RE = /^[imsu]*$/;
+  const PLACEHOLDER_RE = /\{(\w+)\}/g;
+
+  function newRule(kind) {
+    return {
+      id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      kind,
+      pattern: '',
+      flags: '',
+      output: kind === 'template' ? '{subject} {number}' : '',
+    };
+  }
+
+  // Returns a user-facing problem with the rule, or null if it's usable.
+  function validateRule(rule) {
+    if (!rule || !RULE_KINDS.includes(rule.kind)) return 'Unknown rule type.';
+    if (!FLAGS_RE.test(rule.flags || '')) return 'Flags may only be i, m, s and u.';
+    if (rule.kind === 'replace' && !rule.pattern) return 'Enter a pattern to find.';
+    try {
+      new RegExp(rule.pattern || PARTS_PATTERN, rule.flags || '');
+    } catch (err) {
+      return `Invalid pattern: ${err.message}`;
+    }
+    return null;
+  }
+
+  function fillTemplate(template, groups) {
+    return template
+      .replace(PLACEHOLDER_RE, (_, part) => (groups[part] || '').trim())
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  }
+
+  function applyRule(rule, name) {
+    if (rule.kind === 'replace') {
+      return name.replace(new RegExp(rule.pattern, `g${rule.flags || ''}`), rule.output || '').trim();
+    }
+    const match = name.match(new RegExp(rule.pattern || PARTS_PATTERN, rule.flags || ''));
+    if (!match) return name;
+    return fillTemplate(rule.output || '', { name, ...(match.groups || {}) }) || name;
+  }
+
+  // The name the rules produce for `original`; broken rules are skipped.
+  function applyRules(rules, original) {
+    let name = original;
+    for (const rule of rules || []) {
+      if (validateRule(rule)) continue;
+      name = applyRule(rule, name);
+    }
+    return name || original;
+  }
+
+  async function getRules() {
+    const { renameRules } = await chrome.storage.local.get('renameRules');
+    return renameRules || [];
+  }
+
+  async function saveRules(rules) {
+    await chrome.storage.local.set({ renameRules: rules });
+  }
+
+  global.BetterSpaceRenameRules = {
+    PARTS,
+    PARTS_PATTERN,
+    RULE_KINDS,
+    newRule,
+    validateRule,
+    applyRules,
+    getRules,
+    saveRules,
+  };
+})(globalThis);
@@ -0,0 +1,181 @@
+// Shadow DOM helpers — loaded by the content script and the registry benchmark
+// in dev/.
+//
+// Brightspace nests its Lit components ~5 shadow roots deep. Rather than
+// searching every root on each pass, the content script keeps a registry of
+// the components it works on. Each root is indexed once when it first shows
+// up; after that its MutationObserver indexes only the subtrees that were
+// added and prunes what was removed, so a mutation batch costs as much as the
+// nodes it touched instead of the whole page.
+
+(function (global) {
+  'use strict';
+
+  // Resolves with an element's shadow root once it's ready.
+  //
+  // The two-step wait handles Brightspace's lazy-loaded Lit components:
+  //   1. customElements.whenDefined — fires when the class is registered and
+  //      the element is upgraded (gains LitElement prototype + updateComplete).
+  //   2. updateComplete — fires after Lit's first render, when shadowRoot exists.
+  //
+  // Without step 1, el.updateComplete is undefined on a not-yet-upgraded element
+  // and we'd silently give up; without step 2, shadowRoot may still be null even
+  // after the class is defined because Lit renders asynchronously.
+  function waitForShadow(el) {
+    if (el.shadowRoot) return Promise.resolve(el.shadowRoot);
+    return customElements.whenDefined(el.localName).then(() => {
+      if (el.shadowRoot) return el.shadowRoot;
+      const up = el.updateComplete;
+      if (up && typeof up.then === 'function') {
+        return up.then(() => el.shadowRoot || null);
+      }
+      return el.shadowRoot || null;
+    });
+  }
+
+  // Every element matching `selector` under `root`, through all shadow roots.
+  // Walks the whole tree, so it's for one-off lookups; anything that runs on
+  // every mutation should go through a registry.
+  function queryShadowAll(selector, root) {
+    const results = [...root.querySelectorAll(selector)];
+    root.querySelectorAll('*').forEach((el) => {
+      if (el.shadowRoot) results.push(...queryShadowAll(selector, el.shadowRoot));
+    });
+    return results;
+  }
+
+  // Puts elements that share a shadow root back in page order. Brightspace
+  // re-renders lists by moving existing nodes, which a registry sees as
+  // nothing new. Roots keep the order they were first seen in, since
+  // positions can't be compared across shadow boundaries.
+  function inTreeOrder(elements) {
+    const byRoot = new Map();
+    for (const el of elements) {
+      const root = el.getRootNode();
+      if (!byRoot.has(root)) byRoot.set(root, []);
+      byRoot.get(root).push(el);
+    }
+    return [...byRoot.values()].flatMap((group) => group.sort((a, b) =>
+      a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+  }
+
+  // ── Registry ─────────────────────────────────────────────────────────────────
+  //
+  // groups: { [name]: selector }. Options:
+  //   onTracked(group, el)  — an element entered a group
+  //   onShadowReady(el)     — a custom element's shadow root appeared late
+  //                           (see waitForShadow) and has been indexed
+  //   onMutations(records)  — after each mutation batch has been indexed, with
+  //                           its MutationRecords
+  //   watch                 — extra MutationObserver options for every root,
+  //                           e.g. { characterData: true }, so onMutations also
+  //                           hears about changes that add no nodes
+  //
+  // Selectors are matched when an element is added, so a component that only
+  // starts matching later (a class or attribute set after insertion) isn't
+  // picked up until it's re-inserted.
+
+  function createRegistry(groups, { onTracked, onShadowReady, onMutations, watch } = {}) {
+    const entries = Object.entries(groups);
+    const tracked = Object.fromEntries(entries.map(([group]) => [group, new Set()]));
+    let observedRoots = new WeakSet();
+    const observers = [];
+    // Bumped by disconnect() so shadow roots that finish rendering afterwards
+    // aren't picked up again.
+    let generation = 0;
+
+    function add(group, el) {
+      if (tracked[group].has(el)) return;
+      tracked[group].add(el);
+      if (onTracked) onTracked(group, el);
+    }
+
+    // Indexes `root` (an element or shadow root) and everything below it,
+    // observing any shadow root it hasn't seen yet.
+    function index(root) {
+      if (root.nodeType === Node.ELEMENT_NODE) {
+        for (const [group, selector] of entries) {
+          if (root.matches(selector)) add(group, root);
+        }
+        visitShadow(root);
+      }
+      for (const [group, selector] of entries) {
+        root.querySelectorAll(selector).forEach((el) => add(group, el));
+      }
+      root.querySelectorAll('*').forEach(visitShadow);
+    }
+
+    function visitShadow(el) {
+      if (el.shadowRoot) {
+        observe(el.shadowRoot);
+        index(el.shadowRoot);
+      } else if (el.localName.includes('-')) {
+        const started = generation;
+        waitForShadow(el).then((sr) => {
+          if (!sr || started !== generation || observedRoots.has(sr) || !el.isConnected) return;
+          observe(sr);
+          index(sr);
+          if (onShadowReady) onShadowReady(el);
+        });
+      }
+    }
+
+    // Removed subtrees may hold tracked elements at any shadow depth, so
+    // rather than walking them, drop whatever is no longer in the document.
+    function prune() {
+      for (const set of Object.values(tracked)) {
+        for (const el of set) {
+          if (!el.isConnected) set.delete(el);
+        }
+      }
+    }
+
+    function onBatch(mutations) {
+      let removed = false;
+      for (const mutation of mutations) {
+        if (mutation.removedNodes.length) removed = true;
+        for (const node of mutation.addedNodes) {
+          if (node.nodeType === Node.ELEMENT_NODE && node.isConnected) index(node);
+        }
+      }
+      if (removed) prune();
+      if (onMutations) onMutations(mutations);
+    }
+
+    function observe(root) {
+      if (observedRoots.has(root)) return;
+      observedRoots.add(root);
+      const observer = new MutationObserver(onBatch);
+      observer.observe(root, { ...watch, childList: true, subtree: true });
+      observers.push(observer);
+    }
+
+    return {
+      // Starts tracking everything under `root` (e.g. document.body).
+      track(root) {
+        observe(root);
+        index(root);
+      },
+      // Tracked elements of `group`, in the order they were found. See
+      // inTreeOrder when the page order matters.
+      get(group) {
+        return [...tracked[group]];
+      },
+      // Stops all observers and forgets every tracked element; track() starts
+      // over from scratch.
+      disconnect() {
+        observers.splice(0).forEach((observer) => observer.disconnect());
+        Object.values(tracked).forEach((set) => set.clear());
+        observedRoots = new WeakSet();
+        generation++;
+      },
+    };
+  }
+
+  global.BetterSpaceShadowDOM = {
+    waitForShadow,
+    queryShadowAll,
+    inTreeOrder,
+    createRegistry,
+  };
+})(globalThis);
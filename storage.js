@@ -0,0 +1,340 @@
+// Shared storage layer — loaded by the content script, popup and options page.
+//
+// Layout (schemaVersion 3):
+//   schemaVersion: 3
+//   institutions:  { [host]: { courses, courseOrder } }
+//     courses:     { [courseId]: { name?, image?, imageFile?, imageStyle?,
+//                                  hidden?, pinned?, color? } }
+//                  color is { from, to? } — see "Course colors" in theme.js
+//                  imageFile: true when an uploaded image is stored (below)
+//                  imageStyle: { x, y, brightness } — focal point in % and
+//                  brightness in %, for either kind of image
+//     courseOrder: [courseId, …]
+//   imageFile:<host>/<courseId>: data URL of an uploaded card image
+//   officialNames: { [host]: { [courseId]: name } } — course names as
+//                  Brightspace shows them, remembered from the homepage so
+//                  they can be replaced on pages without course cards
+//   recentCourses: { [host]: [courseId, …] } — most recently visited first
+//   themeColors:   dark palette (see theme.js for this and lightThemeColors)
+//   darkMode:      boolean — the manual setting; see darkModeSchedule in theme.js
+//   lightMode:     boolean — when dark isn't on, show the light palette
+//
+// Course ids are Brightspace org-unit ids, which are only unique within one
+// Brightspace instance, so all course data is scoped by host.
+//
+// Every context calls BetterSpaceStorage.ready() before touching storage, which
+// runs any pending migrations once. Migrations are idempotent, so two contexts
+// racing through the same step on first load write the same result.
+
+(function (global) {
+  'use strict';
+
+  const SCHEMA_VERSION = 3;
+  const COURSE_ID_RE = /^\d+$/;
+
+  // Data from before course data was scoped by host. Nothing recorded which
+  // school it came from, so the first institution visited that has no data of
+  // its own adopts it (see claimUnassigned).
+  const UNASSIGNED = '_unassigned';
+
+  // Local caches keyed by host rather than stored with the institution.
+  const PER_HOST_KEYS = ['officialNames', 'recentCourses', 'deadlineCache'];
+
+  // ── Migrations ───────────────────────────────────────────────────────────────
+  //
+  // Each step receives the whole storage object and returns { set, remove }.
+  // `set` is written before `remove` is applied, so an interrupted migration
+  // leaves the old keys behind rather than losing data.
+
+  const MIGRATIONS = [
+    {
+      version: 2,
+      // v1 stored names as top-level numeric keys next to cardImages/cardSettings.
+      migrate(all) {
+        const courses = { ...(all.courses || {}) };
+        const record = (id) => (courses[id] = courses[id] || {});
+
+        const nameKeys = Object.keys(all).filter((k) => COURSE_ID_RE.test(k));
+        for (const id of nameKeys) {
+          if (typeof all[id] === 'string' && all[id]) record(id).name = all[id];
+        }
+        for (const [id, url] of Object.entries(all.cardImages || {})) {
+          if (url) record(id).image = url;
+        }
+        for (const [id, layout] of Object.entries(all.cardSettings || {})) {
+          if (layout.hidden) record(id).hidden = true;
+          if (layout.pinned) record(id).pinned = true;
+        }
+
+        return {
+          set: { courses },
+          remove: [...nameKeys, 'cardImages', 'cardSettings'],
+        };
+      },
+    },
+    {
+      version: 3,
+      // v2 kept a single courses/courseOrder pair for every Brightspace host.
+      migrate(all) {
+        const institutions = { ...(all.institutions || {}) };
+        if (all.courses && Object.keys(all.courses).length) {
+          institutions[UNASSIGNED] = {
+            courses: all.courses,
+            courseOrder: all.courseOrder || [],
+          };
+        }
+        return {
+          set: { institutions },
+          remove: ['courses', 'courseOrder'],
+        };
+      },
+    },
+  ];
+
+  async function runMigrations() {
+    const all = await chrome.storage.local.get(null);
+    let version = all.schemaVersion || 1;
+
+    for (const step of MIGRATIONS) {
+      if (step.version <= version) continue;
+      const { set, remove } = step.migrate(all);
+      await chrome.storage.local.set({ ...set, schemaVersion: step.version });
+      if (remove.length) await chrome.storage.local.remove(remove);
+      Object.assign(all, set);
+      remove.forEach((k) => delete all[k]);
+      version = step.version;
+    }
+  }
+
+  let readyPromise = null;
+
+  function ready() {
+    if (!readyPromise) readyPromise = runMigrations();
+    return readyPromise;
+  }
+
+  // ── Institutions ─────────────────────────────────────────────────────────────
+
+  function emptyInstitution() {
+    return { courses: {}, courseOrder: [] };
+  }
+
+  async function getInstitutions() {
+    await ready();
+    const { institutions } = await chrome.storage.local.get('institutions');
+    return institutions || {};
+  }
+
+  async function setInstitutions(institutions) {
+    await chrome.storage.local.set({ institutions });
+  }
+
+
+  // The writes that make `institutions` the complete set, as { set, remove }
+  // like a migration step: a host left out loses its uploaded images and its
+  // per-host caches too. Nothing is written, so a caller can work out every
+  // change first and apply them together.
+  async function planInstitutions(institutions) {
+    const all = await chrome.storage.local.get(null);
+    const dropped = Object.keys(all.institutions || {}).filter((host) => !institutions[host]);
+    const set = { institutions };
+    for (const key of PER_HOST_KEYS) {
+      if (!all[key]) continue;
+      set[key] = { ...all[key] };
+      dropped.forEach((host) => delete set[key][host]);
+    }
+    const remove = Object.keys(all).filter((k) => dropped.some((host) => k.startsWith(`${IMAGE_PREFIX}${host}/`)));
+    return { set, remove };
+  }
+
+  async function removeInstitution(host) {
+    const institutions = { ...(await getInstitutions()) };
+    delete institutions[host];
+    const { set, remove } = await planInstitutions(institutions);
+    await chrome.storage.local.set(set);
+    if (remove.length) await chrome.storage.local.remove(remove);
+  }
+
+  // Hands legacy (pre-host-scoping) data to `host` if it has none of its own.
+  // Only the content script calls this, for the site actually being visited:
+  // the popup, options page and sync also read and write hosts the user may
+  // never have had that data on. Resolves to whether anything was claimed.
+  async function claimUnassigned(host) {
+    const institutions = await getInstitutions();
+    if (institutions[host] || !institutions[UNASSIGNED] || host === UNASSIGNED) return false;
+    await mergeInstitution(UNASSIGNED, host);
+    return true;
+  }
+
+  // Merges `from` into `to` (used to assign legacy data to a real host).
+  // Records already present on `to` win.
+  async function mergeInstitution(from, to) {
+    const institutions = { ...(await getInstitutions()) };
+    const source = institutions[from] || emptyInstitution();
+    const target = institutions[to] || emptyInstitution();
+    institutions[to] = {
+      courses: { ...source.courses, ...target.courses },
+      courseOrder: [
+        ...target.courseOrder,
+        ...source.courseOrder.filter((id) => !target.courseOrder.includes(id)),
+      ],
+    };
+    delete institutions[from];
+    await setInstitutions(institutions);
+
+    // Uploaded images follow the records that won.
+    const moved = {};
+    const fromKeys = await imageKeysFor(from);
+    const stored = await chrome.storage.local.get(fromKeys);
+    for (const key of fromKeys) {
+      const id = key.slice(imageKey(from, '').length);
+      if (!target.courses[id]) moved[imageKey(to, id)] = stored[key];
+    }
+    if (Object.keys(moved).length) await chrome.storage.local.set(moved);
+    await chrome.storage.local.remove(fromKeys);
+  }
+
+  // ── Uploaded images ──────────────────────────────────────────────────────────
+  //
+  // Uploaded card images can run to a few hundred KB each, so they live under
+  // their own keys rather than inside `institutions`, which is rewritten on
+  // every edit. The course record's imageFile flag says one exists.
+
+  const IMAGE_PREFIX = 'imageFile:';
+
+  function imageKey(host, id) {
+    return `${IMAGE_PREFIX}${host}/${id}`;
+  }
+
+  async function getCourseImages(host, ids) {
+    if (!ids.length) return {};
+    const stored = await chrome.storage.local.get(ids.map((id) => imageKey(host, id)));
+    const images = {};
+    for (const id of ids) {
+      if (stored[imageKey(host, id)]) images[id] = stored[imageKey(host, id)];
+    }
+    return images;
+  }
+
+  async function imageKeysFor(host) {
+    const all = await chrome.storage.local.get(null);
+    return Object.keys(all).filter((k) => k.startsWith(`${IMAGE_PREFIX}${host}/`));
+  }
+
+  // ── Official names ───────────────────────────────────────────────────────────
+  //
+  // Rename rules and the renaming of navbar, breadcrumbs, etc. need the name
+  // Brightspace gave a course. Only the homepage cards show it for every
+  // course, so the content script remembers what it sees there.
+
+  async function getOfficialNames(host) {
+    const { officialNames } = await chrome.storage.local.get('officialNames');
+    return (officialNames && officialNames[host]) || {};
+  }
+
+  // Merges `names` (courseId → name) into what's remembered for `host`;
+  // returns the merged map. Skips the write when nothing changed.
+  async function rememberOfficialNames(host, names) {
+    const { officialNames } = await chrome.storage.local.get('officialNames');
+    const all = officialNames || {};
+    const current = all[host] || {};
+    if (Object.entries(names).every(([id, name]) => current[id] === name)) return current;
+    all[host] = { ...current, ...names };
+    await chrome.storage.local.set({ officialNames: all });
+    return all[host];
+  }
+
+  // ── Recent courses ───────────────────────────────────────────────────────────
+
+  const MAX_RECENT_COURSES = 8;
+
+  async function getRecentCourses(host) {
+    const { recentCourses } = await chrome.storage.local.get('recentCourses');
+    return (recentCourses && recentCourses[host]) || [];
+  }
+
+  async function recordCourseVisit(host, id) {
+    const { recentCourses } = await chrome.storage.local.get('recentCourses');
+    const all = recentCourses || {};
+    const current = all[host] || [];
+    if (current[0] === id) return;
+    all[host] = [id, ...current.filter((c) => c !== id)].slice(0, MAX_RECENT_COURSES);
+    await chrome.storage.local.set({ recentCourses: all });
+  }
+
+  // ── Courses ──────────────────────────────────────────────────────────────────
+
+  async function getCourseData(host) {
+    const institutions = await getInstitutions();
+    const data = institutions[host] || emptyInstitution();
+    return { courses: data.courses || {}, courseOrder: data.courseOrder || [] };
+  }
+
+  // Drops empty/false fields so records only hold what the user actually set.
+  function compactRecord(record) {
+    const out = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (value !== '' && value !== false && value != null) out[key] = value;
+    }
+    return out;
+  }
+
+  // `edits` maps courseId → partial record; a field set to '' or false is
+  // cleared, and a record left with no fields is removed entirely. An
+  // imageFile given as a data URL is stored under its own key and recorded as
+  // `imageFile: true`; clearing imageFile deletes the stored image.
+  async function updateCourses(host, edits, courseOrder) {
+    const data = await getCourseData(host);
+    const courses = { ...data.courses };
+    const imagesToSet = {};
+    const imagesToRemove = [];
+
+    for (const [id, edit] of Object.entries(edits)) {
+      const patch = { ...edit };
+      if (typeof patch.imageFile === 'string' && patch.imageFile) {
+        imagesToSet[imageKey(host, id)] = patch.imageFile;
+        patch.imageFile = true;
+      } else if ('imageFile' in patch && !patch.imageFile) {
+        imagesToRemove.push(imageKey(host, id));
+      }
+      const record = compactRecord({ ...courses[id], ...patch });
+      if (Object.keys(record).length) courses[id] = record;
+      else delete courses[id];
+    }
+
+    // Images first, so a tab reacting to the new records finds them.
+    if (Object.keys(imagesToSet).length) await chrome.storage.local.set(imagesToSet);
+    const next = { courses, courseOrder: courseOrder || data.courseOrder };
+    const institutions = { ...(await getInstitutions()), [host]: next };
+    await setInstitutions(institutions);
+    if (imagesToRemove.length) await chrome.storage.local.remove(imagesToRemove);
+    return next;
+  }
+
+  async function replaceCourses(host, courses, courseOrder) {
+    const institutions = { ...(await getInstitutions()), [host]: { courses, courseOrder } };
+    await setInstitutions(institutions);
+  }
+
+  global.BetterSpaceStorage = {
+    SCHEMA_VERSION,
+    COURSE_ID_RE,
+    UNASSIGNED,
+    IMAGE_PREFIX,
+    ready,
+    getInstitutions,
+    setInstitutions,
+    planInstitutions,
+    removeInstitution,
+    mergeInstitution,
+    claimUnassigned,
+    getCourseData,
+    updateCourses,
+    replaceCourses,
+    getCourseImages,
+    getOfficialNames,
+    rememberOfficialNames,
+    getRecentCourses,
+    recordCourseVisit,
+  };
+})(globalThis);
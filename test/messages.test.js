@@ -0,0 +1,68 @@
+// Run with: node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const EXTENSION_ID = 'abcdefghijklmnopabcdefghijklmnop';
+const EXTENSION_ORIGIN = `chrome-extension://${EXTENSION_ID}/`;
+
+globalThis.chrome = {
+  runtime: {
+    id: EXTENSION_ID,
+    getURL: (path) => EXTENSION_ORIGIN + path,
+  },
+};
+
+require('../messages.js');
+const { isFromExtension, isValidMessage } = globalThis.BetterSpaceMessages;
+
+test('isValidMessage accepts known message types', () => {
+  assert.equal(isValidMessage({ type: 'GET_COURSES' }), true);
+  assert.equal(isValidMessage({ type: 'OPEN_CARD_EDITOR', courseId: '6606' }), true);
+});
+
+test('isValidMessage checks a message against its schema', () => {
+  for (const courseId of [undefined, '', 6606, ['6606'], { id: '6606' }]) {
+    assert.equal(isValidMessage({ type: 'OPEN_CARD_EDITOR', courseId }), false, String(courseId));
+  }
+});
+
+test('isValidMessage rejects unknown and prototype message types', () => {
+  for (const type of [
+    '__proto__', 'constructor', 'toString', 'hasOwnProperty', 'valueOf',
+    'APPLY_THEME', 'get_courses', '', undefined, null, 1, ['GET_COURSES'],
+  ]) {
+    assert.equal(isValidMessage({ type }), false, String(type));
+  }
+});
+
+test('isValidMessage rejects messages that are not plain objects', () => {
+  for (const message of [null, undefined, 'GET_COURSES', 42, true, ['GET_COURSES'], [{ type: 'GET_COURSES' }]]) {
+    assert.equal(isValidMessage(message), false, String(message));
+  }
+  assert.equal(isValidMessage(JSON.parse('{"__proto__": {"type": "GET_COURSES"}}')), false);
+});
+
+test('isFromExtension accepts the popup and the service worker', () => {
+  assert.equal(isFromExtension({ id: EXTENSION_ID, url: `${EXTENSION_ORIGIN}popup.html` }), true);
+  assert.equal(isFromExtension({ id: EXTENSION_ID, url: `${EXTENSION_ORIGIN}background.js` }), true);
+});
+
+test('isFromExtension rejects web pages and content scripts', () => {
+  // A content script of this extension relaying for a page carries the page's URL.
+  assert.equal(isFromExtension({ id: EXTENSION_ID, url: 'https://school.brightspace.com/d2l/home' }), false);
+  assert.equal(isFromExtension({ id: EXTENSION_ID, url: `https://evil.example/${EXTENSION_ORIGIN}` }), false);
+  assert.equal(isFromExtension({ id: EXTENSION_ID }), false);
+  assert.equal(isFromExtension({ url: `${EXTENSION_ORIGIN}popup.html` }), false);
+  assert.equal(isFromExtension({}), false);
+  assert.equal(isFromExtension(undefined), false);
+});
+
+test('isFromExtension rejects other extensions', () => {
+  const otherId = 'ponmlkjihgfedcbaponmlkjihgfedcba';
+  assert.equal(isFromExtension({ id: otherId, url: `chrome-extension://${otherId}/popup.html` }), false);
+  // Another extension can't borrow our id, but check the URL on its own too.
+  assert.equal(isFromExtension({ id: otherId, url: `${EXTENSION_ORIGIN}popup.html` }), false);
+  assert.equal(isFromExtension({ id: EXTENSION_ID, url: `chrome-extension://${otherId}/popup.html` }), false);
+});
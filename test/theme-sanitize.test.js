@@ -0,0 +1,105 @@
+// Run with: node --test test/
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+require('../theme.js');
+const { isSafeImageUrl, cssUrl, sanitizeColors, THEME_GROUPS } = globalThis.BetterSpaceTheme;
+
+// What a url() value must never contain once escaped: anything that ends the
+// string or the function, or starts a new line.
+function assertContained(css) {
+  const inner = css.slice('url("'.length, -'")'.length);
+  assert.ok(css.startsWith('url("') && css.endsWith('")'), css);
+  assert.doesNotMatch(inner, /["\n\r\f]/, css);
+  // Every backslash starts one of our hex escapes.
+  assert.doesNotMatch(inner.replace(/\\[0-9a-f]{1,6} /g, ''), /\\/, css);
+}
+
+test('isSafeImageUrl accepts web, data:image and blob URLs', () => {
+  assert.equal(isSafeImageUrl('https://example.com/banner.png'), true);
+  assert.equal(isSafeImageUrl('http://example.com/a.jpg?x=1'), true);
+  assert.equal(isSafeImageUrl('data:image/png;base64,iVBORw0KGgo='), true);
+  assert.equal(isSafeImageUrl('blob:https://example.com/0b5c2e4a-1f0e-4c8a-9a57-6d3f1a1b2c3d'), true);
+});
+
+test('isSafeImageUrl rejects script and document URLs', () => {
+  for (const value of [
+    'javascript:alert(1)',
+    'JavaScript:alert(document.cookie)',
+    ' javascript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+    'data:image/svg',
+    'vbscript:msgbox(1)',
+    'file:///etc/passwd',
+    'not a url',
+    '',
+    null,
+    undefined,
+    42,
+    { toString: () => 'https://example.com/a.png' },
+  ]) {
+    assert.equal(isSafeImageUrl(value), false, String(value));
+  }
+});
+
+test('cssUrl keeps CSS-breakout payloads inside the url()', () => {
+  for (const payload of [
+    'https://example.com/a.png"); background: url("https://evil.example/x',
+    "https://example.com/a.png'); } body { display: none } a { b: url('",
+    'https://example.com/a.png) } body { display: none',
+    'https://example.com/a\\"); } * { color: red',
+    'https://example.com/a\\',
+    'https://example.com/a.png\n} body { display: none }',
+    'https://example.com/a.png\r\n"){}',
+    'https://example.com/a.png\f")',
+    'https://example.com/a.png\u0000")',
+  ]) {
+    assertContained(cssUrl(payload));
+  }
+});
+
+test('cssUrl escapes quotes, backslashes and newlines as hex escapes', () => {
+  assert.equal(cssUrl('a"b'), 'url("a\\22 b")');
+  assert.equal(cssUrl('a\\b'), 'url("a\\5c b")');
+  assert.equal(cssUrl('a\nb'), 'url("a\\a b")');
+  assert.equal(cssUrl('https://example.com/a(1).png'), 'url("https://example.com/a(1).png")');
+});
+
+test('sanitizeColors keeps only known groups with hex values', () => {
+  const [first, second, third] = THEME_GROUPS;
+  assert.deepEqual(sanitizeColors({ [first]: '#1a2B3c', [second]: '#ffffff' }),
+    { [first]: '#1a2B3c', [second]: '#ffffff' });
+  assert.deepEqual(sanitizeColors({ [first]: '#fff', [second]: 'red', [third]: '1a2b3c' }), {});
+});
+
+test('sanitizeColors drops CSS injection and expression() values', () => {
+  const [first, second, third, fourth] = THEME_GROUPS;
+  const out = sanitizeColors({
+    [first]: 'expression(alert(1))',
+    [second]: '#000000; } body { background: url(https://evil.example/x) } a {',
+    [third]: '#00000g',
+    [fourth]: '#000000\n',
+    unknownGroup: '#000000',
+  });
+  assert.deepEqual(out, {});
+});
+
+test('sanitizeColors ignores prototype keys and non-objects', () => {
+  const payload = JSON.parse('{"__proto__": {"polluted": "#000000"}, "constructor": "#000000"}');
+  const out = sanitizeColors(payload);
+  assert.deepEqual(Object.keys(out), []);
+  assert.equal(({}).polluted, undefined);
+  assert.equal(Object.getPrototypeOf(out), Object.prototype);
+  for (const value of [null, undefined, '#000000', 42, ['#000000']]) {
+    assert.deepEqual(sanitizeColors(value), {});
+  }
+});
+
+test('sanitizeColors ignores non-string values', () => {
+  const [first, second] = THEME_GROUPS;
+  const out = sanitizeColors({ [first]: { toString: () => '#000000' }, [second]: ['#000000'] });
+  assert.deepEqual(out, {});
+});
@@ -0,0 +1,399 @@
+// Shared theme definitions — loaded by the content script, popup and options
+// page so the default palette and presets live in one place.
+//
+// Storage:
+//   themeColors:    { background, surface, border, accent, text, mutedText,
+//                     error, warning, success } — the dark palette
+//   lightThemeColors: same groups — the light palette
+//   themePresets:   [{ id, name, colors }] — user-saved presets
+//   activePresetId: id of the preset themeColors came from, or null once edited
+//   darkModeSchedule: { mode, start, end } — see "Dark mode schedule" below
+
+(function (global) {
+  'use strict';
+
+  const THEME_GROUPS = [
+    'background', 'surface', 'border', 'accent',
+    'text', 'mutedText',
+    'error', 'warning', 'success',
+  ];
+  const HEX_RE = /^#[0-9a-fA-F]{6}$/;
+
+  // The handful of groups shown as dots on a preset chip.
+  const PREVIEW_GROUPS = ['background', 'surface', 'accent', 'text'];
+
+  // Groups drawn as text on top of background/surface — these get contrast checks.
+  const TEXT_GROUPS = ['text', 'mutedText', 'accent', 'error', 'warning', 'success'];
+
+  const DEFAULT_THEME = {
+    background: '#121212',
+    surface:    '#1e1e1e',
+    border:     '#2d2d2d',
+    accent:     '#4d9de0',
+    text:       '#e8e8e8',
+    mutedText:  '#bdbdbd',
+    error:      '#ff6b6b',
+    warning:    '#ffb84d',
+    success:    '#4dcc40',
+  };
+
+  const DEFAULT_LIGHT_THEME = {
+    background: '#f4f5f7',
+    surface:    '#ffffff',
+    border:     '#d6dae0',
+    accent:     '#1f6fbf',
+    text:       '#1d2126',
+    mutedText:  '#565e68',
+    error:      '#c4262e',
+    warning:    '#8f5b00',
+    success:    '#2a7a2f',
+  };
+
+  // Where each palette is stored and what it falls back to. Presets are dark
+  // palettes, so they only ever write themeColors.
+  const PALETTES = {
+    dark:  { storageKey: 'themeColors',      defaults: DEFAULT_THEME },
+    light: { storageKey: 'lightThemeColors', defaults: DEFAULT_LIGHT_THEME },
+  };
+
+  const DEFAULT_STATUS = {
+    error:   DEFAULT_THEME.error,
+    warning: DEFAULT_THEME.warning,
+    success: DEFAULT_THEME.success,
+  };
+
+  const BUILT_IN_PRESETS = [
+    { id: 'default', name: 'BetterSpace', colors: DEFAULT_THEME },
+    {
+      id: 'oled',
+      name: 'OLED Black',
+      colors: {
+        background: '#000000', surface: '#0b0b0b', border: '#222222', accent: '#4d9de0',
+        text: '#e8e8e8', mutedText: '#a8a8a8', ...DEFAULT_STATUS,
+      },
+    },
+    {
+      id: 'solarized',
+      name: 'Solarized',
+      colors: {
+        background: '#002b36', surface: '#073642', border: '#0f4a58', accent: '#268bd2',
+        text: '#eee8d5', mutedText: '#93a1a1', error: '#f2706d', warning: '#d9a400', success: '#9bb800',
+      },
+    },
+    {
+      id: 'nord',
+      name: 'Nord',
+      colors: {
+        background: '#2e3440', surface: '#3b4252', border: '#4c566a', accent: '#88c0d0',
+        text: '#eceff4', mutedText: '#d8dee9', error: '#f29ba2', warning: '#ebcb8b', success: '#a3be8c',
+      },
+    },
+    {
+      id: 'high-contrast',
+      name: 'High Contrast',
+      colors: {
+        background: '#000000', surface: '#000000', border: '#ffffff', accent: '#ffff00',
+        text: '#ffffff', mutedText: '#e6e6e6', error: '#ff6666', warning: '#ffd400', success: '#3dff3d',
+      },
+    },
+  ];
+
+  function normalizeHex(raw) {
+    const val = String(raw || '').trim();
+    // Accept with or without leading #
+    if (/^[0-9a-fA-F]{6}$/.test(val)) return `#${val.toLowerCase()}`;
+    if (HEX_RE.test(val)) return val.toLowerCase();
+    return null;
+  }
+
+  // Presets and share codes saved before a group existed lack it; fill from defaults.
+  function withDefaults(colors) {
+    return { ...DEFAULT_THEME, ...(colors || {}) };
+  }
+
+  function sameColors(a, b) {
+    return THEME_GROUPS.every((key) => (a[key] || '').toLowerCase() === (b[key] || '').toLowerCase());
+  }
+
+  // ── Contrast ─────────────────────────────────────────────────────────────────
+  //
+  // WCAG 2.x relative luminance and contrast ratio. AA asks for 4.5:1 for body
+  // text, which is what Brightspace mostly renders in these colors.
+
+  const AA_CONTRAST = 4.5;
+
+  function relativeLuminance(hex) {
+    const channels = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const [r, g, b] = channels.map((c) => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  function contrastRatio(hexA, hexB) {
+    const a = relativeLuminance(hexA);
+    const b = relativeLuminance(hexB);
+    return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+  }
+
+  // ── Share codes ──────────────────────────────────────────────────────────────
+  //
+  // BS2-<54 hex digits, THEME_GROUPS order>[-<url-encoded name>]
+  // BS1 codes (four groups: background surface border accent) are still read;
+  // the groups they lack fall back to defaults.
+
+  const SHARE_CODE_RE = /^BS([12])-([0-9a-fA-F]+)(?:-(.{1,120}))?$/;
+  const SHARE_CODE_GROUPS = {
+    1: ['background', 'surface', 'border', 'accent'],
+    2: THEME_GROUPS,
+  };
+
+  function encodeShareCode({ name, colors }) {
+    const full = withDefaults(colors);
+    const hex = THEME_GROUPS.map((key) => full[key].slice(1)).join('').toLowerCase();
+    return name ? `BS2-${hex}-${encodeURIComponent(name)}` : `BS2-${hex}`;
+  }
+
+  // Returns { name, colors } or null if the code is malformed.
+  function decodeShareCode(code) {
+    const match = String(code || '').trim().match(SHARE_CODE_RE);
+    if (!match) return null;
+    const groups = SHARE_CODE_GROUPS[match[1]];
+    if (match[2].length !== groups.length * 6) return null;
+    const colors = { ...DEFAULT_THEME };
+    groups.forEach((key, i) => {
+      colors[key] = `#${match[2].slice(i * 6, i * 6 + 6).toLowerCase()}`;
+    });
+    let name = '';
+    try {
+      name = match[3] ? decodeURIComponent(match[3]).trim() : '';
+    } catch {
+      return null;
+    }
+    return { name, colors };
+  }
+
+  // ── Dark mode schedule ───────────────────────────────────────────────────────
+  //
+  // darkModeSchedule: { mode, start, end }
+  //   manual   — the darkMode toggle decides
+  //   system   — follow prefers-color-scheme
+  //   schedule — dark between start and end ("HH:MM", local time); a window
+  //              whose end is before its start wraps past midnight
+
+  const DARK_MODE_MODES = ['manual', 'system', 'schedule'];
+  const DEFAULT_SCHEDULE = { mode: 'manual', start: '19:00', end: '07:00' };
+  const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  function normalizeSchedule(schedule) {
+    const { mode, start, end } = { ...DEFAULT_SCHEDULE, ...(schedule || {}) };
+    const s = { mode, start, end };
+    if (!DARK_MODE_MODES.includes(s.mode)) s.mode = DEFAULT_SCHEDULE.mode;
+    if (!TIME_RE.test(s.start)) s.start = DEFAULT_SCHEDULE.start;
+    if (!TIME_RE.test(s.end)) s.end = DEFAULT_SCHEDULE.end;
+    return s;
+  }
+
+  function minutesOf(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+  }
+
+  function inDarkWindow({ start, end }, date = new Date()) {
+    const now = date.getHours() * 60 + date.getMinutes();
+    const from = minutesOf(start);
+    const to = minutesOf(end);
+    if (from === to) return false;
+    return from < to ? now >= from && now < to : now >= from || now < to;
+  }
+
+  // Milliseconds until the next start or end boundary, for re-checking the window.
+  function msUntilNextBoundary({ start, end }, date = new Date()) {
+    const nowMs = (date.getHours() * 60 + date.getMinutes()) * 60000 +
+      date.getSeconds() * 1000 + date.getMilliseconds();
+    const day = 24 * 60 * 60000;
+    const waits = [start, end].map((t) => {
+      const wait = (minutesOf(t) * 60000 - nowMs + day) % day;
+      return wait === 0 ? day : wait;
+    });
+    return Math.min(...waits);
+  }
+
+  // Whether dark mode should be on right now. `systemDark` is the current
+  // prefers-color-scheme result, supplied by the caller's window.
+  function resolveDarkMode(darkMode, schedule, systemDark) {
+    const s = normalizeSchedule(schedule);
+    if (s.mode === 'system') return !!systemDark;
+    if (s.mode === 'schedule') return inDarkWindow(s);
+    return !!darkMode;
+  }
+
+  // Which palette to show right now: 'dark', 'light' or null for Brightspace's
+  // own look. Dark wins whenever it's on (manually or by schedule); otherwise
+  // lightMode picks between the light palette and no theme at all.
+  function resolveScheme({ darkMode, lightMode, schedule }, systemDark) {
+    if (resolveDarkMode(darkMode, schedule, systemDark)) return 'dark';
+    return lightMode ? 'light' : null;
+  }
+
+  // ── Course colors ────────────────────────────────────────────────────────────
+  //
+  // Each course has a color identity used wherever BetterSpace decorates it:
+  // a course record's `color` is { from, to } for a gradient or { from } for a
+  // solid color. Courses without one get a default picked by id.
+
+  const DEFAULT_COURSE_COLORS = [
+    { from: '#f093fb', to: '#f5576c' },  // pink → red
+    { from: '#4facfe', to: '#00f2fe' },  // blue → cyan
+    { from: '#43e97b', to: '#38f9d7' },  // green → teal
+    { from: '#fa709a', to: '#fee140' },  // pink → yellow
+    { from: '#a18cd1', to: '#fbc2eb' },  // purple → pink
+    { from: '#fccb90', to: '#d57eeb' },  // orange → purple
+    { from: '#a1c4fd', to: '#c2e9fb' },  // periwinkle → sky
+    { from: '#84fab0', to: '#8fd3f4' },  // mint → sky blue
+  ];
+
+  function isCourseColor(color) {
+    return !!color && typeof color === 'object' && HEX_RE.test(color.from) &&
+      (color.to === undefined || HEX_RE.test(color.to));
+  }
+
+  function defaultCourseColor(courseId) {
+    return DEFAULT_COURSE_COLORS[parseInt(courseId, 10) % DEFAULT_COURSE_COLORS.length];
+  }
+
+  function courseColor(courseId, record) {
+    return record && isCourseColor(record.color) ? record.color : defaultCourseColor(courseId);
+  }
+
+  function courseGradient({ from, to }) {
+    return `linear-gradient(135deg, ${from} 0%, ${to || from} 100%)`;
+  }
+
+  // ── Safe CSS values ──────────────────────────────────────────────────────────
+  //
+  // Anything user-supplied that ends up in a stylesheet or style property goes
+  // through these: image URLs are limited to schemes that can only fetch an
+  // image, and are escaped so they can't close the url() they sit in.
+
+  const IMAGE_URL_SCHEMES = ['http:', 'https:', 'data:', 'blob:'];
+
+  function isSafeImageUrl(value) {
+    if (typeof value !== 'string' || !value) return false;
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return false;
+    }
+    if (!IMAGE_URL_SCHEMES.includes(url.protocol)) return false;
+    return url.protocol !== 'data:' || /^data:image\/[a-z0-9.+-]+[;,]/i.test(value);
+  }
+
+  // url("…") with quotes, backslashes and control characters as CSS escapes.
+  function cssUrl(value) {
+    const escaped = value.replace(/["\\\u0000-\u001f\u007f]/g,
+      (ch) => `\\${ch.charCodeAt(0).toString(16)} `);
+    return `url("${escaped}")`;
+  }
+
+  // Keeps only known groups holding valid hex colors.
+  function sanitizeColors(colors) {
+    const out = {};
+    if (!colors || typeof colors !== 'object') return out;
+    for (const key of THEME_GROUPS) {
+      if (typeof colors[key] === 'string' && HEX_RE.test(colors[key])) out[key] = colors[key];
+    }
+    return out;
+  }
+
+  // ── Presets ──────────────────────────────────────────────────────────────────
+
+  async function getPresets() {
+    const { themePresets, activePresetId } = await chrome.storage.local.get(['themePresets', 'activePresetId']);
+    return {
+      builtIn: BUILT_IN_PRESETS,
+      custom: themePresets || [],
+      activePresetId: activePresetId || null,
+    };
+  }
+
+  async function saveCustomPreset(name, colors) {
+    const { custom } = await getPresets();
+    const preset = {
+      id: `custom-${Date.now().toString(36)}`,
+      name: name.trim().slice(0, 40) || 'Untitled',
+      colors: { ...colors },
+    };
+    await chrome.storage.local.set({ themePresets: [...custom, preset] });
+    return preset;
+  }
+
+  async function deleteCustomPreset(id) {
+    const { custom, activePresetId } = await getPresets();
+    const next = { themePresets: custom.filter((p) => p.id !== id) };
+    if (activePresetId === id) next.activePresetId = null;
+    await chrome.storage.local.set(next);
+  }
+
+  // Persists the preset's colors as the active theme.
+  async function activatePreset(preset) {
+    const colors = withDefaults(preset.colors);
+    await chrome.storage.local.set({ themeColors: colors, activePresetId: preset.id });
+    return colors;
+  }
+
+  // For hand-edited colors: remember a preset only if the colors still match one.
+  async function saveThemeColors(colors) {
+    const presets = await getPresets();
+    const match = [...presets.builtIn, ...presets.custom]
+      .find((p) => sameColors(withDefaults(p.colors), colors));
+    await chrome.storage.local.set({ themeColors: colors, activePresetId: match ? match.id : null });
+  }
+
+  async function getPaletteColors(scheme) {
+    const { storageKey, defaults } = PALETTES[scheme];
+    const stored = await chrome.storage.local.get(storageKey);
+    return { ...defaults, ...(stored[storageKey] || {}) };
+  }
+
+  async function saveLightThemeColors(colors) {
+    await chrome.storage.local.set({ lightThemeColors: colors });
+  }
+
+  global.BetterSpaceTheme = {
+    THEME_GROUPS,
+    TEXT_GROUPS,
+    PREVIEW_GROUPS,
+    HEX_RE,
+    AA_CONTRAST,
+    DEFAULT_THEME,
+    DEFAULT_LIGHT_THEME,
+    PALETTES,
+    BUILT_IN_PRESETS,
+    normalizeHex,
+    withDefaults,
+    sameColors,
+    contrastRatio,
+    DEFAULT_SCHEDULE,
+    normalizeSchedule,
+    inDarkWindow,
+    msUntilNextBoundary,
+    resolveDarkMode,
+    resolveScheme,
+    isCourseColor,
+    defaultCourseColor,
+    courseColor,
+    courseGradient,
+    isSafeImageUrl,
+    cssUrl,
+    sanitizeColors,
+    encodeShareCode,
+    decodeShareCode,
+    getPresets,
+    saveCustomPreset,
+    deleteCustomPreset,
+    activatePreset,
+    saveThemeColors,
+    getPaletteColors,
+    saveLightThemeColors,
+  };
+})(globalThis);
@@ -0,0 +1,240 @@
+// Brightspace Valence REST API client — loaded by the content script, popup
+// and options page.
+//
+// Requests ride on the user's Brightspace session cookie; no app keys are
+// involved. Only read-only GETs are made, which Brightspace allows without an
+// XSRF token.
+//
+// Storage:
+//   dueDateSettings: { enabled, daysAhead, apiBase } — apiBase overrides the
+//                    Brightspace origin (e.g. http://localhost:8787 for the
+//                    mock server in dev/mock-valence.js); empty means the site
+//   deadlineCache:   { [host]: { fetchedAt, from, to, items, failed, courses } }
+//
+// A deadline is { uid, kind, courseId, courseName, title, due, url }:
+//   kind  — 'assignment' (dropbox folder), 'quiz' or 'event' (calendar)
+//   uid   — stable across fetches, e.g. "quiz-6606-123"
+//   due   — epoch ms; url — absolute link to the item in Brightspace
+
+(function (global) {
+  'use strict';
+
+  const LP_VERSION = '1.43';
+  const LE_VERSION = '1.67';
+  const COURSE_OFFERING_TYPE = 3;
+
+  // ── Settings ─────────────────────────────────────────────────────────────────
+
+  const DEFAULT_DUE_DATE_SETTINGS = { enabled: true, daysAhead: 14, apiBase: '' };
+  const DEADLINE_KIND_LABELS = { assignment: 'Assignment', quiz: 'Quiz', event: 'Event' };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // Overdue items stay listed this long after their due date.
+  const OVERDUE_DAYS = 7;
+
+  function normalizeApiBase(value) {
+    const trimmed = String(value || '').trim();
+    if (!trimmed) return '';
+    let url;
+    try {
+      url = new URL(trimmed);
+    } catch {
+      return null;
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+    return url.origin;
+  }
+
+  async function getDueDateSettings() {
+    const { dueDateSettings } = await chrome.storage.local.get('dueDateSettings');
+    return { ...DEFAULT_DUE_DATE_SETTINGS, ...(dueDateSettings || {}) };
+  }
+
+  async function saveDueDateSettings(settings) {
+    await chrome.storage.local.set({ dueDateSettings: settings });
+  }
+
+  function apiBaseFor(host, settings) {
+    return settings.apiBase || `https://${host}`;
+  }
+
+  // The window deadlines are fetched for: recent overdue items through
+  // `daysAhead` days from now.
+  function deadlineWindow({ daysAhead }, now = Date.now()) {
+    return { from: now - OVERDUE_DAYS * DAY_MS, to: now + daysAhead * DAY_MS };
+  }
+
+  // ── Requests ─────────────────────────────────────────────────────────────────
+
+  async function getJSON(base, path) {
+    let res;
+    try {
+      res = await fetch(new URL(path, base), {
+        credentials: 'include',
+        headers: { Accept: 'application/json' },
+      });
+    } catch {
+      throw new Error(`Could not reach ${base}.`);
+    }
+    if (!res.ok) {
+      const err = new Error(res.status === 401 || res.status === 403
+        ? 'Brightspace refused the request. Are you signed in?'
+        : `Brightspace returned ${res.status} for ${path.split('?')[0]}.`);
+      err.status = res.status;
+      throw err;
+    }
+    return res.json();
+  }
+
+  // Follows Valence's two paging styles: PagingInfo.Bookmark (lp) and
+  // ObjectListPage's Next URL (le).
+  async function getAllPages(base, path) {
+    const items = [];
+    let next = path;
+    while (next) {
+      const page = await getJSON(base, next);
+      if (Array.isArray(page)) return page;
+      if (page.PagingInfo) {
+        items.push(...page.Items);
+        const url = new URL(path, base);
+        url.searchParams.set('bookmark', page.PagingInfo.Bookmark);
+        next = page.PagingInfo.HasMoreItems ? url.pathname + url.search : null;
+      } else {
+        items.push(...page.Objects);
+        next = page.Next;
+      }
+    }
+    return items;
+  }
+
+  // Active course offerings the user can open: [{ id, name, code }].
+  async function getEnrollments(base) {
+    const items = await getAllPages(base,
+      `/d2l/api/lp/${LP_VERSION}/enrollments/myenrollments/?orgUnitTypeId=${COURSE_OFFERING_TYPE}`);
+    return items
+      .filter((item) => item.OrgUnit.Type.Id === COURSE_OFFERING_TYPE &&
+        item.Access.IsActive && item.Access.CanAccess)
+      .map((item) => ({ id: String(item.OrgUnit.Id), name: item.OrgUnit.Name, code: item.OrgUnit.Code }));
+  }
+
+  // ── Deadlines ────────────────────────────────────────────────────────────────
+
+  function inWindow(due, { from, to }) {
+    return Number.isFinite(due) && due >= from && due <= to;
+  }
+
+  async function getAssignments(base, course, range) {
+    const folders = await getAllPages(base, `/d2l/api/le/${LE_VERSION}/${course.id}/dropbox/folders/`);
+    return folders
+      .filter((f) => !f.IsHidden && f.DueDate)
+      .map((f) => ({
+        uid: `assignment-${course.id}-${f.Id}`,
+        kind: 'assignment',
+        courseId: course.id,
+        courseName: course.name,
+        title: f.Name,
+        due: Date.parse(f.DueDate),
+        url: new URL(`/d2l/lms/dropbox/user/folder_submit_files.d2l?ou=${course.id}&db=${f.Id}`, base).href,
+      }))
+      .filter((d) => inWindow(d.due, range));
+  }
+
+  async function getQuizzes(base, course, range) {
+    const quizzes = await getAllPages(base, `/d2l/api/le/${LE_VERSION}/${course.id}/quizzes/`);
+    return quizzes
+      .filter((q) => q.IsActive !== false && q.DueDate)
+      .map((q) => ({
+        uid: `quiz-${course.id}-${q.QuizId}`,
+        kind: 'quiz',
+        courseId: course.id,
+        courseName: course.name,
+        title: q.Name,
+        due: Date.parse(q.DueDate),
+        url: new URL(`/d2l/lms/quizzing/user/quiz_summary.d2l?ou=${course.id}&qi=${q.QuizId}`, base).href,
+      }))
+      .filter((d) => inWindow(d.due, range));
+  }
+
+  // Calendar entries that mirror an assignment or quiz due date are dropped;
+  // those items are already listed from their own endpoints.
+  async function getEvents(base, courses, range) {
+    const params = new URLSearchParams({
+      orgUnitIdsCSV: courses.map((c) => c.id).join(','),
+      startDateTime: new Date(range.from).toISOString(),
+      endDateTime: new Date(range.to).toISOString(),
+    });
+    const events = await getAllPages(base, `/d2l/api/le/${LE_VERSION}/calendar/events/myEvents/?${params}`);
+    const names = Object.fromEntries(courses.map((c) => [c.id, c.name]));
+    return events
+      .filter((e) => !/dropbox|quiz/i.test((e.AssociatedEntity && e.AssociatedEntity.AssociatedEntityType) || ''))
+      .map((e) => ({
+        uid: `event-${e.OrgUnitId}-${e.CalendarEventId}`,
+        kind: 'event',
+        courseId: String(e.OrgUnitId),
+        courseName: names[e.OrgUnitId] || e.OrgUnitName,
+        title: e.Title,
+        due: Date.parse(e.EndDateTime || e.StartDateTime),
+        url: new URL(`/d2l/le/calendar/${e.OrgUnitId}/event/${e.CalendarEventId}/detailsview`, base).href,
+      }))
+      .filter((d) => inWindow(d.due, range));
+  }
+
+  // Deadlines for `courses` (from getEnrollments) between range.from and
+  // range.to, soonest first. A tool that fails to load for one course is
+  // skipped and counted in `failed` rather than failing it all; a tool turned
+  // off in a course answers 403/404 and isn't counted.
+  async function getDeadlines(base, courses, range) {
+    const perCourse = await Promise.allSettled(courses.flatMap((course) => [
+      getAssignments(base, course, range),
+      getQuizzes(base, course, range),
+    ]));
+    const events = courses.length ? await getEvents(base, courses, range).catch(() => null) : [];
+
+    const items = [];
+    let failed = events === null ? 1 : 0;
+    for (const result of perCourse) {
+      if (result.status === 'fulfilled') items.push(...result.value);
+      else if (![403, 404].includes(result.reason.status)) failed++;
+    }
+    items.push(...(events || []));
+    items.sort((a, b) => a.due - b.due);
+    return { items, failed };
+  }
+
+  // ── Cache ────────────────────────────────────────────────────────────────────
+  //
+  // Fetching costs two requests per course, so the homepage reuses a recent
+  // result. The refresh button passes force.
+
+  const CACHE_TTL = 10 * 60 * 1000;
+
+  async function loadDeadlines(host, { force = false } = {}) {
+    const settings = await getDueDateSettings();
+    const base = apiBaseFor(host, settings);
+    const { deadlineCache } = await chrome.storage.local.get('deadlineCache');
+    const cached = deadlineCache && deadlineCache[host];
+    if (!force && cached && Date.now() - cached.fetchedAt < CACHE_TTL) return cached;
+
+    const courses = await getEnrollments(base);
+    const range = deadlineWindow(settings);
+    const { items, failed } = await getDeadlines(base, courses, range);
+    const entry = { fetchedAt: Date.now(), ...range, items, failed, courses };
+
+    const { deadlineCache: latest } = await chrome.storage.local.get('deadlineCache');
+    await chrome.storage.local.set({ deadlineCache: { ...(latest || {}), [host]: entry } });
+    return entry;
+  }
+
+  global.BetterSpaceValence = {
+    DEFAULT_DUE_DATE_SETTINGS,
+    DEADLINE_KIND_LABELS,
+    OVERDUE_DAYS,
+    normalizeApiBase,
+    getDueDateSettings,
+    saveDueDateSettings,
+    apiBaseFor,
+    deadlineWindow,
+    getEnrollments,
+    getDeadlines,
+    loadDeadlines,
+  };
+})(globalThis);
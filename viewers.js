@@ -0,0 +1,128 @@
+// Embedded viewers — loaded by the content scripts and the options page.
+//
+// The theme CSS in content.js restyles Brightspace's own pages, but some frames
+// show content it knows nothing about: documents and PDFs, HTML topics written
+// by instructors, and the text editor's editing area. In dark mode these are
+// darkened by inversion instead. The page is inverted and hue-rotated back to
+// its own hues, then photos and video are inverted again so they keep their
+// true colors. Anything drawn in the page itself is inverted along with the
+// text, including a PDF's pages, which pdf.js draws on a canvas. So each viewer
+// can be switched back to true colors for diagrams.
+//
+// A viewer is recognised in one of two ways:
+//   - from inside its frame, by URL and DOM, where the content script runs
+//     there (detectFrameViewer);
+//   - from the page embedding it, where no content script can run inside
+//     (embedViewerOf): Chrome's PDF plugin and the editor's about:blank iframe.
+//
+// Storage:
+//   viewerDarkening: { [viewer id]: boolean } — false keeps true colors
+
+(function (global) {
+  'use strict';
+
+  const INVERT_FILTER = 'invert(1) hue-rotate(180deg)';
+
+  // embed.reach: 'document' styles the embedded document, which must be
+  // same-origin; 'element' filters the element as a whole.
+  const VIEWERS = {
+    documents: {
+      label: 'Documents and PDFs',
+      // Brightspace shows PDFs, and Word and PowerPoint files converted to PDF,
+      // with pdf.js.
+      inFrame: (url, doc) => /\/pdfjs\//i.test(url.pathname) || !!doc.querySelector('#viewerContainer, .pdfViewer'),
+      // Chrome's own PDF viewer is a plugin nothing can style from inside.
+      embed: {
+        selector: 'embed[type="application/pdf"], object[type="application/pdf"], iframe[src$=".pdf" i]',
+        reach: 'element',
+      },
+    },
+    htmlTopics: {
+      label: 'HTML topics',
+      // Course files are served from /content/; a topic is an HTML one opened
+      // in the content viewer's frame.
+      inFrame: (url, doc) => /^\/content\//i.test(url.pathname) && doc.contentType === 'text/html',
+    },
+    editor: {
+      label: 'Text editor',
+      // TinyMCE writes its editing area into an about:blank iframe.
+      embed: {
+        selector: 'iframe.tox-edit-area__iframe, iframe[id$="_ifr"]',
+        reach: 'document',
+      },
+    },
+  };
+
+  const DEFAULT_VIEWER_DARKENING = Object.fromEntries(Object.keys(VIEWERS).map((id) => [id, true]));
+
+  const EMBED_SELECTOR = Object.values(VIEWERS)
+    .filter((viewer) => viewer.embed)
+    .map((viewer) => viewer.embed.selector)
+    .join(', ');
+
+  // The viewer this frame is, or null for an ordinary Brightspace page.
+  function detectFrameViewer(url, doc) {
+    for (const [id, viewer] of Object.entries(VIEWERS)) {
+      if (viewer.inFrame && viewer.inFrame(url, doc)) return id;
+    }
+    return null;
+  }
+
+  // The viewer an element matching EMBED_SELECTOR belongs to.
+  function embedViewerOf(el) {
+    for (const [id, viewer] of Object.entries(VIEWERS)) {
+      if (viewer.embed && el.matches(viewer.embed.selector)) return id;
+    }
+    return null;
+  }
+
+  // Scoped by html.bs-viewer-dark. The filter goes on <body> rather than
+  // <html>: the root's background is painted on the canvas, which a filter on
+  // the root doesn't reliably reach, so <html> gets the inverted page color
+  // directly.
+  //
+  // Media are inverted back, except inside something that already was.
+  // Canvases aren't, since that's where pdf.js draws pages.
+  function buildInversionCSS() {
+    const media = 'img, picture, video, svg image, iframe, [style*="background-image"]';
+    return `
+      html.bs-viewer-dark {
+        background-color: #000 !important;
+        color-scheme: dark;
+      }
+
+      html.bs-viewer-dark body {
+        filter: ${INVERT_FILTER} !important;
+      }
+
+      html.bs-viewer-dark body :is(${media}) {
+        filter: ${INVERT_FILTER} !important;
+      }
+
+      html.bs-viewer-dark body :is(picture, [style*="background-image"]) :is(${media}) {
+        filter: none !important;
+      }
+    `;
+  }
+
+  async function getViewerDarkening() {
+    const { viewerDarkening } = await chrome.storage.local.get('viewerDarkening');
+    return { ...DEFAULT_VIEWER_DARKENING, ...(viewerDarkening || {}) };
+  }
+
+  async function saveViewerDarkening(settings) {
+    await chrome.storage.local.set({ viewerDarkening: settings });
+  }
+
+  global.BetterSpaceViewers = {
+    VIEWERS,
+    DEFAULT_VIEWER_DARKENING,
+    EMBED_SELECTOR,
+    INVERT_FILTER,
+    detectFrameViewer,
+    embedViewerOf,
+    buildInversionCSS,
+    getViewerDarkening,
+    saveViewerDarkening,
+  };
+})(globalThis);